@@ -0,0 +1,85 @@
+// Cleanup rules page - edit the selectors hidden by "Clean up page"
+import { DEFAULT_CLEANUP_RULES, getCleanupRulesText, saveCleanupRules, resetCleanupRules } from '../scripts/lib/cleanup-rules.js';
+
+const rulesInput = document.getElementById('rulesInput');
+const rulesError = document.getElementById('rulesError');
+const saveRulesBtn = document.getElementById('saveRulesBtn');
+const resetRulesBtn = document.getElementById('resetRulesBtn');
+
+let savedText = '';
+
+document.addEventListener('DOMContentLoaded', init);
+
+async function init() {
+  savedText = await getCleanupRulesText();
+  rulesInput.value = savedText;
+
+  rulesInput.addEventListener('input', () => {
+    saveRulesBtn.disabled = rulesInput.value === savedText;
+  });
+  saveRulesBtn.addEventListener('click', saveRules);
+  resetRulesBtn.addEventListener('click', resetRules);
+
+  // Unsaved edits would be lost
+  window.addEventListener('beforeunload', (e) => {
+    if (rulesInput.value !== savedText) e.preventDefault();
+  });
+}
+
+async function saveRules() {
+  const invalid = findInvalidLines(rulesInput.value);
+  rulesError.hidden = invalid.length === 0;
+  if (invalid.length > 0) {
+    rulesError.textContent = 'Not valid CSS selectors:\n' +
+      invalid.map(({ number, line }) => `Line ${number}: ${line}`).join('\n');
+    return;
+  }
+
+  try {
+    await saveCleanupRules(rulesInput.value);
+    savedText = rulesInput.value;
+    saveRulesBtn.disabled = true;
+    showToast('Saved the rules');
+  } catch (error) {
+    showToast('Failed to save: ' + error.message, true);
+  }
+}
+
+async function resetRules() {
+  if (!confirm('Replace your rules with the built-in ones?')) return;
+
+  await resetCleanupRules();
+  savedText = DEFAULT_CLEANUP_RULES;
+  rulesInput.value = savedText;
+  rulesError.hidden = true;
+  saveRulesBtn.disabled = true;
+  showToast('Restored the built-in rules');
+}
+
+/**
+ * Lines that aren't comments, blank or valid selectors, numbered from 1
+ */
+function findInvalidLines(text) {
+  const fragment = document.createDocumentFragment();
+  return text.split('\n')
+    .map((line, i) => ({ number: i + 1, line: line.trim() }))
+    .filter(({ line }) => {
+      if (!line || line.startsWith('//')) return false;
+      try {
+        fragment.querySelector(line);
+        return false;
+      } catch {
+        return true;
+      }
+    });
+}
+
+function showToast(message, isError = false) {
+  const toast = document.getElementById('toast');
+  toast.textContent = message;
+  toast.classList.toggle('error', isError);
+  toast.classList.add('visible');
+
+  clearTimeout(showToast.timer);
+  showToast.timer = setTimeout(() => toast.classList.remove('visible'), 3000);
+}
@@ -0,0 +1,150 @@
+// Diagnostics page - shows the error log and exports it for bug reports
+import { getErrorLog, clearErrorLog } from '../scripts/lib/error-log.js';
+
+const logList = document.getElementById('log');
+const emptyState = document.getElementById('emptyState');
+const copyLogBtn = document.getElementById('copyLogBtn');
+const exportLogBtn = document.getElementById('exportLogBtn');
+const clearLogBtn = document.getElementById('clearLogBtn');
+
+let entries = [];
+
+document.addEventListener('DOMContentLoaded', init);
+
+async function init() {
+  const manifest = chrome.runtime.getManifest();
+  document.getElementById('environment').textContent =
+    `${manifest.name} ${manifest.version} · ${navigator.userAgent}`;
+
+  copyLogBtn.addEventListener('click', copyLog);
+  exportLogBtn.addEventListener('click', exportLog);
+  clearLogBtn.addEventListener('click', clearLog);
+
+  // Failures that happen while the page is open
+  chrome.storage.onChanged.addListener((changes, area) => {
+    if (area === 'local' && changes.errorLog) refresh();
+  });
+
+  await refresh();
+}
+
+async function refresh() {
+  entries = await getErrorLog();
+  render();
+}
+
+function render() {
+  logList.textContent = '';
+  [...entries].reverse().forEach(entry => logList.appendChild(createEntry(entry)));
+
+  emptyState.hidden = entries.length > 0;
+  copyLogBtn.disabled = entries.length === 0;
+  exportLogBtn.disabled = entries.length === 0;
+  clearLogBtn.disabled = entries.length === 0;
+}
+
+function createEntry(entry) {
+  const item = document.createElement('li');
+  item.className = 'log-entry';
+
+  const header = document.createElement('div');
+  header.className = 'entry-header';
+
+  const type = document.createElement('span');
+  type.className = 'entry-type';
+  type.textContent = entry.errorType;
+
+  const time = document.createElement('span');
+  time.className = 'entry-meta';
+  time.textContent = new Date(entry.time).toLocaleString();
+
+  const context = document.createElement('span');
+  context.className = 'entry-meta';
+  context.textContent = [entry.source, entry.mode].filter(Boolean).join(' · ');
+
+  header.append(type, time, context);
+
+  const message = document.createElement('p');
+  message.className = 'entry-message';
+  message.textContent = entry.message;
+
+  item.append(header, message);
+
+  if (entry.url) {
+    const address = document.createElement('p');
+    address.className = 'entry-url';
+    address.textContent = entry.url;
+    item.appendChild(address);
+  }
+
+  // Underlying error and where it was thrown
+  const technical = [entry.details, entry.stack].filter(Boolean);
+  if (technical.length > 0) {
+    const details = document.createElement('details');
+    const summary = document.createElement('summary');
+    summary.textContent = 'Details';
+    const pre = document.createElement('pre');
+    pre.textContent = technical.join('\n\n');
+    details.append(summary, pre);
+    item.appendChild(details);
+  }
+
+  return item;
+}
+
+/**
+ * The log plus what a bug report needs to know about the setup
+ */
+function getReport() {
+  const manifest = chrome.runtime.getManifest();
+  return JSON.stringify({
+    extension: manifest.name,
+    version: manifest.version,
+    userAgent: navigator.userAgent,
+    exportedAt: new Date().toISOString(),
+    errors: entries.map(entry => ({ ...entry, time: new Date(entry.time).toISOString() }))
+  }, null, 2);
+}
+
+async function copyLog() {
+  try {
+    await navigator.clipboard.writeText(getReport());
+    showToast('Copied the log to the clipboard');
+  } catch (error) {
+    showToast('Failed to copy: ' + error.message, true);
+  }
+}
+
+function exportLog() {
+  const url = URL.createObjectURL(new Blob([getReport()], { type: 'application/json' }));
+  const link = document.createElement('a');
+  link.download = `snap-hero-diagnostics-${formatTimestamp(Date.now())}.json`;
+  link.href = url;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 10000);
+}
+
+async function clearLog() {
+  if (!confirm('Clear the error log?')) return;
+
+  await clearErrorLog();
+  await refresh();
+  showToast('Cleared the log');
+}
+
+function formatTimestamp(time) {
+  const date = new Date(time);
+  const pad = (value) => String(value).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}-` +
+    `${pad(date.getHours())}${pad(date.getMinutes())}${pad(date.getSeconds())}`;
+}
+
+function showToast(message, isError = false) {
+  const toast = document.getElementById('toast');
+  toast.textContent = message;
+  toast.classList.toggle('error', isError);
+  toast.classList.add('visible');
+
+  clearTimeout(showToast.timer);
+  showToast.timer = setTimeout(() => toast.classList.remove('visible'), 3000);
+}
@@ -6,7 +6,11 @@ import { handleMouseDown, handleMouseMove, handleMouseUp, handleTouchStart, hand
 import { saveToHistory, undo, redo } from './modules/history.js';
 import { downloadImage } from './modules/export.js';
 import { hideLoading, showError, showWarning, showStorageErrorModal, showLargeImageWarning } from './modules/ui-helpers.js';
-import { loadDraft, clearDraft, restoreAnnotations, startAutoSave, setDraftImageUrl, setStorageErrorCallback, checkImageSize } from './modules/draft.js';
+import { loadDraft, clearDraft, restoreAnnotations, startAutoSave, setDraftImageUrl, setDraftHistoryId, getDraftHistoryId, setStorageErrorCallback, checkImageSize } from './modules/draft.js';
+import { setupCaptureSet } from './modules/capture-set.js';
+import { setupCompare } from './modules/compare.js';
+import { setupPageInfo, setPageInfo, getCapturePageInfo } from './modules/page-info.js';
+import { getCapture } from '../scripts/lib/capture-history.js';
 
 // Initialize editor
 document.addEventListener('DOMContentLoaded', init);
@@ -20,6 +24,8 @@ async function init() {
   setupKeyboardShortcuts();
   setupTextInput();
   setupStorageErrorHandler();
+  setupCompare();
+  await setupPageInfo();
 
   try {
     // Check if there's a new image to load
@@ -31,8 +37,9 @@ async function init() {
       showDraftModal(draft, true);
     } else if (draft && !hasNewImage) {
       // Only draft exists - restore it automatically
-      await loadImageFromUrl(draft.imageDataUrl);
+      await loadDraftImage(draft);
       restoreAnnotations(draft.annotations);
+      setDraftHistoryId(draft.historyId);
       saveToHistory();
       startAutoSave(draft.imageDataUrl);
       setDraftImageUrl(draft.imageDataUrl);
@@ -42,8 +49,9 @@ async function init() {
       await loadImage();
       saveToHistory();
 
-      // Check image size and warn if large
-      const sizeCheck = checkImageSize(state.image.src);
+      // Check image size and warn if large (images from the capture history
+      // are saved by reference, so only inline images count)
+      const sizeCheck = checkImageSize(getDraftHistoryId() ? null : state.image.src);
       if (sizeCheck.warning && sizeCheck.ok) {
         showWarning(sizeCheck.message, 6000);
       } else if (!sizeCheck.ok) {
@@ -75,12 +83,12 @@ async function init() {
  */
 async function checkForNewImage() {
   const urlParams = new URLSearchParams(window.location.search);
-  if (urlParams.get('image')) {
+  if (urlParams.get('image') || urlParams.get('history')) {
     return true;
   }
 
-  const result = await chrome.storage.local.get(['screenshotData']);
-  return !!result.screenshotData;
+  const result = await chrome.storage.local.get(['screenshotData', 'screenshotHistoryId', 'screenshotSet']);
+  return !!(result.screenshotData || result.screenshotHistoryId || result.screenshotSet);
 }
 
 /**
@@ -109,16 +117,17 @@ function showDraftModal(draft, hasNewImage = false) {
     modal.style.display = 'none';
     try {
       // Load the draft image
-      await loadImageFromUrl(draft.imageDataUrl);
+      await loadDraftImage(draft);
       // Restore annotations
       restoreAnnotations(draft.annotations);
+      setDraftHistoryId(draft.historyId);
       // Save current state to history
       saveToHistory();
       // Start auto-save with the draft image
       startAutoSave(draft.imageDataUrl);
       setDraftImageUrl(draft.imageDataUrl);
       // Clear the new screenshot data since we're using draft
-      await chrome.storage.local.remove(['screenshotData']);
+      await chrome.storage.local.remove(['screenshotData', 'screenshotHistoryId', 'screenshotSet']);
     } catch (error) {
       showError('Failed to restore draft: ' + error.message);
     }
@@ -153,17 +162,90 @@ async function loadImage() {
     return;
   }
 
-  const result = await chrome.storage.local.get(['screenshotData']);
+  // Reopened from the capture history, with its annotations
+  const historyId = Number(urlParams.get('history'));
+  if (historyId) {
+    await loadFromHistory(historyId);
+    return;
+  }
+
+  const result = await chrome.storage.local.get(['screenshotData', 'screenshotMetadata', 'screenshotHistoryId', 'screenshotSet']);
+
+  // Several images captured together (e.g. a page split into parts)
+  if (result.screenshotSet) {
+    await setupCaptureSet(result.screenshotSet, loadImageFromUrl);
+    await chrome.storage.local.remove(['screenshotSet']);
+    return;
+  }
 
+  // New capture, handed over by its history id
+  if (result.screenshotHistoryId) {
+    await loadFromHistory(result.screenshotHistoryId);
+    await chrome.storage.local.remove(['screenshotHistoryId']);
+    return;
+  }
+
+  // Fallback when the capture couldn't be added to the history
   if (result.screenshotData) {
     await loadImageFromUrl(result.screenshotData);
-    await chrome.storage.local.remove(['screenshotData']);
+    setPageInfo(result.screenshotMetadata);
+    await chrome.storage.local.remove(['screenshotData', 'screenshotMetadata']);
     return;
   }
 
   throw new Error('No image data found');
 }
 
+/**
+ * Load a capture history entry (image and annotations) by id. The image is
+ * read straight from the stored Blob, without a data URL.
+ */
+async function loadFromHistory(historyId) {
+  const capture = await getCapture(historyId);
+  if (!capture) {
+    throw new Error('This capture is no longer in the history');
+  }
+
+  await loadImageFromBlob(capture.blob);
+  restoreAnnotations(capture.annotations || {});
+  setPageInfo(getCapturePageInfo(capture));
+  setDraftHistoryId(historyId);
+}
+
+/**
+ * Load a draft's image: from the capture history if it came from there,
+ * otherwise from the data URL stored with the draft
+ */
+async function loadDraftImage(draft) {
+  if (draft.historyId) {
+    const capture = await getCapture(draft.historyId);
+    if (capture) {
+      await loadImageFromBlob(capture.blob);
+      setPageInfo(getCapturePageInfo(capture));
+      return;
+    }
+  }
+
+  if (!draft.imageDataUrl) {
+    throw new Error('The image of this draft is no longer in the history');
+  }
+  await loadImageFromUrl(draft.imageDataUrl);
+  setPageInfo(draft.pageInfo);
+}
+
+/**
+ * Load an image from a Blob. The object URL is only needed until the image
+ * has loaded; the canvas keeps drawing the decoded image after that.
+ */
+async function loadImageFromBlob(blob) {
+  const url = URL.createObjectURL(blob);
+  try {
+    await loadImageFromUrl(url);
+  } finally {
+    URL.revokeObjectURL(url);
+  }
+}
+
 function loadImageFromUrl(url) {
   return new Promise((resolve, reject) => {
     const img = new Image();
@@ -1,5 +1,5 @@
 import state from './state.js';
-import { ARROW, TEXT_BG, BLUR, SELECTION } from './constants.js';
+import { ARROW, TEXT_BG, BLUR, SELECTION, DIFF } from './constants.js';
 
 // Get canvas coordinates from mouse/touch event
 export function getCanvasCoords(e) {
@@ -276,3 +276,16 @@ export function drawSelectionHandles(bounds) {
     ctx.strokeRect(x - hs / 2, y - hs / 2, hs, hs);
   });
 }
+
+// Draw boxes around the changed regions of a diff (compare view)
+export function drawDiffRegions(ctx, regions) {
+  const pad = DIFF.boxPadding;
+
+  ctx.save();
+  ctx.strokeStyle = DIFF.boxColor;
+  ctx.lineWidth = DIFF.boxWidth;
+  regions.forEach(region => {
+    ctx.strokeRect(region.x - pad, region.y - pad, region.width + pad * 2, region.height + pad * 2);
+  });
+  ctx.restore();
+}
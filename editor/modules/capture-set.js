@@ -0,0 +1,240 @@
+// Capture set module - several images opened in one editor (e.g. split full-page parts)
+import state, { clearSelection } from './state.js';
+import { serializeAnnotations, restoreAnnotations, setDraftImageUrl, setDraftHistoryId } from './draft.js';
+import { saveToHistory } from './history.js';
+import { getTimestamp, canvasToBlob } from './export.js';
+import { setPageInfo, getCapturePageInfo, embedPageInfo } from './page-info.js';
+import { showSuccess, showError } from './ui-helpers.js';
+import { getCapture } from '../../scripts/lib/capture-history.js';
+
+// Each item: { src, label, filename?, historyId?, pageInfo, annotations } - src is an
+// object URL for images from the capture history, otherwise a data URL;
+// annotations are kept serialized while an item is not on screen
+let items = [];
+let currentIndex = 0;
+let loadImageFn = null;
+
+// Side-by-side layout: space between images and for the label above each
+const LAYOUT_GAP = 40;
+const LAYOUT_LABEL_HEIGHT = 36;
+
+/**
+ * Load a set of images and show the part navigation
+ * @param {Array<{historyId?: number, dataUrl?: string, metadata?: Object, label: string, filename?: string}>} images
+ *   Each image is either a capture history id or a data URL with its page info
+ * @param {Function} loadImageFromUrl - Editor's image loader (draws onto the canvas)
+ */
+export async function setupCaptureSet(images, loadImageFromUrl) {
+  items = [];
+  for (const image of images) {
+    const capture = image.historyId ? await getCapture(image.historyId) : null;
+    const src = capture ? URL.createObjectURL(capture.blob) : image.dataUrl;
+    if (!src) continue; // Removed from the history in the meantime
+
+    items.push({
+      src,
+      label: image.label,
+      filename: image.filename,
+      historyId: capture ? image.historyId : null,
+      pageInfo: capture ? getCapturePageInfo(capture) : image.metadata,
+      annotations: null
+    });
+  }
+  if (items.length === 0) {
+    throw new Error('No image data found');
+  }
+
+  // Object URLs are needed again whenever a part is shown or compared, so
+  // they're only released with the page
+  window.addEventListener('pagehide', revokeItemUrls, { once: true });
+
+  currentIndex = 0;
+  loadImageFn = loadImageFromUrl;
+
+  await loadImageFn(items[0].src);
+  setPageInfo(items[0].pageInfo);
+  setDraftHistoryId(items[0].historyId);
+
+  if (items.length > 1) {
+    document.getElementById('partNav').style.display = 'flex';
+    document.getElementById('downloadAllPartsBtn').style.display = 'flex';
+    document.getElementById('prevPartBtn').addEventListener('click', () => showPart(currentIndex - 1));
+    document.getElementById('nextPartBtn').addEventListener('click', () => showPart(currentIndex + 1));
+    document.getElementById('sideBySideBtn').addEventListener('click', () => combineSideBySide());
+    document.getElementById('downloadAllPartsBtn').addEventListener('click', () => {
+      document.getElementById('downloadMenu').classList.remove('visible');
+      document.getElementById('downloadDropdown').classList.remove('open');
+      downloadAllParts();
+    });
+  }
+
+  updatePartNav();
+}
+
+function revokeItemUrls() {
+  for (const item of items) {
+    if (item.src.startsWith('blob:')) URL.revokeObjectURL(item.src);
+  }
+}
+
+/**
+ * Switch to another image of the set, keeping annotations per image
+ */
+export async function showPart(index) {
+  if (index < 0 || index >= items.length || index === currentIndex) return;
+
+  items[currentIndex].annotations = serializeAnnotations();
+  currentIndex = index;
+
+  try {
+    clearSelection();
+    await renderItem(items[index]);
+
+    // Undo history is per image
+    state.history = [];
+    state.historyIndex = -1;
+    setDraftHistoryId(items[index].historyId);
+    saveToHistory();
+    setDraftImageUrl(items[index].src);
+  } catch (error) {
+    showError('Failed to load image: ' + error.message);
+  }
+
+  updatePartNav();
+}
+
+/**
+ * Download every image of the set with its annotations as numbered PNGs
+ */
+export async function downloadAllParts() {
+  const startIndex = currentIndex;
+  const history = state.history;
+  const historyIndex = state.historyIndex;
+  const timestamp = getTimestamp();
+
+  items[currentIndex].annotations = serializeAnnotations();
+
+  try {
+    for (let i = 0; i < items.length; i++) {
+      await renderItem(items[i]);
+
+      const url = URL.createObjectURL(await embedPageInfo(await canvasToBlob(state.canvas)));
+      const link = document.createElement('a');
+      link.download = items[i].filename || `screenshot-${timestamp}-part-${i + 1}-of-${items.length}.png`;
+      link.href = url;
+      link.click();
+      setTimeout(() => URL.revokeObjectURL(url), 10000);
+    }
+
+    showSuccess(`Saved ${items.length} images!`);
+  } catch (error) {
+    showError('Failed to save images: ' + error.message);
+  } finally {
+    // Put the image the user was looking at back on the canvas
+    await renderItem(items[startIndex]);
+    state.history = history;
+    state.historyIndex = historyIndex;
+  }
+}
+
+/**
+ * Add an image that lays out every image of the set next to each other,
+ * top-aligned and labelled (e.g. a responsive set at several widths)
+ */
+export async function combineSideBySide() {
+  const previous = items[currentIndex];
+  const history = state.history;
+  const historyIndex = state.historyIndex;
+  const sources = items.filter(item => !item.combined);
+
+  items[currentIndex].annotations = serializeAnnotations();
+
+  try {
+    // Flatten each image with its annotations
+    const bitmaps = [];
+    for (const item of sources) {
+      await renderItem(item);
+      bitmaps.push(await createImageBitmap(state.canvas));
+    }
+
+    const width = bitmaps.reduce((total, bitmap) => total + bitmap.width, 0) + LAYOUT_GAP * (bitmaps.length + 1);
+    const height = Math.max(...bitmaps.map(bitmap => bitmap.height)) + LAYOUT_LABEL_HEIGHT + LAYOUT_GAP * 2;
+
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    const ctx = canvas.getContext('2d');
+    ctx.fillStyle = '#f1f5f9';
+    ctx.fillRect(0, 0, width, height);
+    ctx.fillStyle = '#1a1a2e';
+    ctx.font = '600 20px -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif';
+    ctx.textBaseline = 'middle';
+
+    let x = LAYOUT_GAP;
+    bitmaps.forEach((bitmap, i) => {
+      ctx.fillText(sources[i].label || `${i + 1}`, x, LAYOUT_GAP + LAYOUT_LABEL_HEIGHT / 2);
+      ctx.drawImage(bitmap, x, LAYOUT_GAP + LAYOUT_LABEL_HEIGHT);
+      x += bitmap.width + LAYOUT_GAP;
+      bitmap.close();
+    });
+
+    // Replace an earlier layout instead of piling them up
+    items = items.filter(item => !item.combined);
+    items.push({
+      src: canvas.toDataURL('image/png'),
+      label: 'Side by side',
+      filename: `screenshot-${getTimestamp()}-side-by-side.png`,
+      annotations: null,
+      combined: true
+    });
+  } catch (error) {
+    showError('Failed to lay out images: ' + error.message);
+  }
+
+  const previousIndex = items.indexOf(previous);
+  if (previousIndex === -1) {
+    // The layout on screen was the one just replaced
+    currentIndex = items.length - 1;
+    clearSelection();
+    await renderItem(items[currentIndex]);
+    state.history = [];
+    state.historyIndex = -1;
+    setDraftHistoryId(null);
+    saveToHistory();
+    setDraftImageUrl(items[currentIndex].src);
+  } else {
+    // Put the image the user was looking at back, then switch to the layout
+    currentIndex = previousIndex;
+    await renderItem(previous);
+    state.history = history;
+    state.historyIndex = historyIndex;
+    await showPart(items.length - 1);
+  }
+
+  updatePartNav();
+}
+
+/**
+ * The set's images other than the one on screen (for the compare view)
+ * @returns {Array<{src: string, label: string}>}
+ */
+export function getOtherItems() {
+  return items
+    .filter((_, i) => i !== currentIndex)
+    .map(item => ({ src: item.src, label: item.label, historyId: item.historyId }));
+}
+
+async function renderItem(item) {
+  await loadImageFn(item.src);
+  restoreAnnotations(item.annotations || {});
+  setPageInfo(item.pageInfo);
+}
+
+function updatePartNav() {
+  const label = document.getElementById('partLabel');
+  if (!label || items.length === 0) return;
+
+  label.textContent = items[currentIndex].label || `${currentIndex + 1} of ${items.length}`;
+  document.getElementById('prevPartBtn').disabled = currentIndex === 0;
+  document.getElementById('nextPartBtn').disabled = currentIndex === items.length - 1;
+}
@@ -0,0 +1,286 @@
+// Compare view - diff overlay, slider and onion skin for two captures
+import state from './state.js';
+import { DIFF } from './constants.js';
+import { drawDiffRegions } from './canvas-renderer.js';
+import { computeDiff } from './image-diff.js';
+import { getOtherItems } from './capture-set.js';
+import { getDraftHistoryId } from './draft.js';
+import { getTimestamp } from './export.js';
+import { showSuccess, showError } from './ui-helpers.js';
+import { listCaptures, getCapture } from '../../scripts/lib/capture-history.js';
+
+// Most history captures of the same page offered to compare with
+const MAX_HISTORY_SOURCES = 20;
+
+// Image A is the one open in the editor (without annotations), B the one
+// it is compared with
+let imageB = null;
+let diff = null;
+let mode = 'diff';
+let diffRun = 0;
+let thresholdTimer = null;
+
+let panel, canvas, ctx, sourceSelect, fileInput, thresholdInput, mixInput, scoreLabel;
+
+export function setupCompare() {
+  panel = document.getElementById('comparePanel');
+  canvas = document.getElementById('compareCanvas');
+  ctx = canvas.getContext('2d');
+  sourceSelect = document.getElementById('compareSource');
+  fileInput = document.getElementById('compareFileInput');
+  thresholdInput = document.getElementById('compareThreshold');
+  mixInput = document.getElementById('compareMix');
+  scoreLabel = document.getElementById('compareScore');
+
+  thresholdInput.value = DIFF.defaultThreshold;
+  document.getElementById('compareThresholdValue').textContent = DIFF.defaultThreshold;
+
+  document.getElementById('compareBtn').addEventListener('click', openCompare);
+  document.getElementById('closeCompareBtn').addEventListener('click', closeCompare);
+  document.getElementById('exportDiffBtn').addEventListener('click', exportDiff);
+
+  sourceSelect.addEventListener('change', () => loadSource(sourceSelect.value));
+
+  fileInput.addEventListener('change', () => {
+    const file = fileInput.files[0];
+    fileInput.value = '';
+    if (!file) return;
+
+    const url = URL.createObjectURL(file);
+    loadImageB(url).finally(() => URL.revokeObjectURL(url));
+  });
+
+  document.querySelectorAll('[data-compare-mode]').forEach(btn => {
+    btn.addEventListener('click', () => setMode(btn.dataset.compareMode));
+  });
+
+  thresholdInput.addEventListener('input', () => {
+    document.getElementById('compareThresholdValue').textContent = thresholdInput.value;
+    clearTimeout(thresholdTimer);
+    thresholdTimer = setTimeout(updateDiff, 200);
+  });
+
+  mixInput.addEventListener('input', render);
+
+  // Drag on the image to move the slider
+  canvas.addEventListener('pointerdown', (e) => {
+    if (mode !== 'slider') return;
+    canvas.setPointerCapture(e.pointerId);
+    moveSlider(e);
+  });
+  canvas.addEventListener('pointermove', (e) => {
+    if (mode === 'slider' && canvas.hasPointerCapture(e.pointerId)) moveSlider(e);
+  });
+
+  document.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape' && isCompareOpen()) closeCompare();
+  });
+}
+
+export function isCompareOpen() {
+  return panel.style.display !== 'none';
+}
+
+/**
+ * Open the compare view. Offers the other images of a capture set and the
+ * history captures of the same page; without any, goes straight to picking
+ * an image file.
+ */
+async function openCompare() {
+  if (!state.image) return;
+
+  const others = getOtherItems();
+  const captures = await getPageCaptures(others);
+
+  sourceSelect.textContent = '';
+  others.forEach((item, i) => {
+    sourceSelect.add(new Option(item.label || `Image ${i + 1}`, String(i)));
+  });
+  if (captures.length > 0) {
+    const group = document.createElement('optgroup');
+    group.label = 'Captures of this page';
+    captures.forEach(capture => {
+      const time = new Date(capture.createdAt).toLocaleString();
+      group.append(new Option(capture.label ? `${time} · ${capture.label}` : time, `history:${capture.id}`));
+    });
+    sourceSelect.append(group);
+  }
+  sourceSelect.add(new Option('Image file…', 'file'));
+
+  sourceSelect.selectedIndex = 0;
+  loadSource(sourceSelect.value);
+}
+
+/**
+ * Capture history entries of the page open in the editor, newest first,
+ * leaving out the open image and the rest of its set
+ */
+async function getPageCaptures(others) {
+  const url = state.pageInfo?.url;
+  if (!url) return [];
+
+  const shown = new Set([getDraftHistoryId(), ...others.map(item => item.historyId)]);
+  try {
+    const captures = await listCaptures();
+    return captures
+      .filter(capture => capture.url === url && !shown.has(capture.id))
+      .slice(0, MAX_HISTORY_SOURCES);
+  } catch {
+    return []; // History unavailable; the other sources still work
+  }
+}
+
+/**
+ * Load the image to compare with, by compare source select value
+ */
+async function loadSource(value) {
+  if (value === 'file') {
+    fileInput.click();
+    return;
+  }
+
+  if (value.startsWith('history:')) {
+    const capture = await getCapture(Number(value.slice('history:'.length))).catch(() => null);
+    if (!capture) {
+      showError('That capture is no longer in the history');
+      return;
+    }
+    const url = URL.createObjectURL(capture.blob);
+    await loadImageB(url).finally(() => URL.revokeObjectURL(url));
+    return;
+  }
+
+  await loadImageB(getOtherItems()[Number(value)].src);
+}
+
+function closeCompare() {
+  diffRun++;
+  panel.style.display = 'none';
+  imageB = null;
+  diff = null;
+}
+
+function loadImageB(url) {
+  return new Promise((resolve) => {
+    const img = new Image();
+    img.onload = () => {
+      imageB = img;
+      panel.style.display = 'flex';
+      updateDiff();
+      resolve();
+    };
+    img.onerror = () => {
+      showError('Failed to load the image to compare with');
+      resolve();
+    };
+    img.src = url;
+  });
+}
+
+async function updateDiff() {
+  if (!imageB) return;
+
+  const run = ++diffRun;
+  scoreLabel.textContent = 'Comparing…';
+
+  try {
+    const result = await computeDiff(state.image, imageB, {
+      threshold: Number(thresholdInput.value),
+      isCancelled: () => run !== diffRun
+    });
+    if (!result) return;
+
+    diff = result;
+    canvas.width = diff.width;
+    canvas.height = diff.height;
+    updateScore();
+    render();
+  } catch (error) {
+    scoreLabel.textContent = '';
+    showError('Failed to compare images: ' + error.message);
+  }
+}
+
+function updateScore() {
+  const percent = (Math.floor(diff.similarity * 1000) / 10).toFixed(1);
+  const regionCount = diff.regions.length;
+  let text = `${percent}% similar · ${regionCount} changed region${regionCount === 1 ? '' : 's'}`;
+
+  if (diff.sizeMismatch) {
+    text += ` · sizes differ (${state.image.width}×${state.image.height} vs ${imageB.width}×${imageB.height})`;
+  }
+  scoreLabel.textContent = text;
+}
+
+function setMode(newMode) {
+  mode = newMode;
+  document.querySelectorAll('[data-compare-mode]').forEach(btn => {
+    btn.classList.toggle('active', btn.dataset.compareMode === mode);
+  });
+
+  document.getElementById('compareThresholdGroup').style.display = mode === 'diff' ? '' : 'none';
+  document.getElementById('compareMixGroup').style.display = mode === 'diff' ? 'none' : '';
+  document.getElementById('compareMixLabel').textContent = mode === 'slider' ? 'Position' : 'Opacity';
+  canvas.classList.toggle('slider', mode === 'slider');
+  render();
+}
+
+function render() {
+  if (!diff) return;
+
+  const mix = Number(mixInput.value) / 100;
+  ctx.clearRect(0, 0, canvas.width, canvas.height);
+
+  if (mode === 'diff') {
+    ctx.drawImage(diff.canvas, 0, 0);
+    drawDiffRegions(ctx, diff.regions);
+  } else if (mode === 'slider') {
+    // A on the left of the split, B on the right
+    const split = Math.round(canvas.width * mix);
+    ctx.drawImage(state.image, 0, 0);
+    ctx.save();
+    ctx.beginPath();
+    ctx.rect(split, 0, canvas.width - split, canvas.height);
+    ctx.clip();
+    ctx.clearRect(split, 0, canvas.width - split, canvas.height);
+    ctx.drawImage(imageB, 0, 0);
+    ctx.restore();
+
+    ctx.fillStyle = DIFF.boxColor;
+    ctx.fillRect(split - 1, 0, 2, canvas.height);
+  } else {
+    // Onion skin: B over A at the chosen opacity
+    ctx.drawImage(state.image, 0, 0);
+    ctx.globalAlpha = mix;
+    ctx.drawImage(imageB, 0, 0);
+    ctx.globalAlpha = 1;
+  }
+}
+
+function moveSlider(e) {
+  const rect = canvas.getBoundingClientRect();
+  const ratio = Math.min(Math.max((e.clientX - rect.left) / rect.width, 0), 1);
+  mixInput.value = Math.round(ratio * 100);
+  render();
+}
+
+/**
+ * Download the diff (highlighted changes and region boxes) as a PNG
+ */
+function exportDiff() {
+  if (!diff) return;
+
+  const output = document.createElement('canvas');
+  output.width = diff.width;
+  output.height = diff.height;
+  const outCtx = output.getContext('2d');
+  outCtx.drawImage(diff.canvas, 0, 0);
+  drawDiffRegions(outCtx, diff.regions);
+
+  const link = document.createElement('a');
+  link.download = `screenshot-${getTimestamp()}-diff.png`;
+  link.href = output.toDataURL('image/png');
+  link.click();
+
+  showSuccess('Saved diff image!');
+}
@@ -60,3 +60,15 @@ export const TIMEOUTS = {
   popupClose: 1000,
   captureTimeout: 10000
 };
+
+// Compare view (visual diff)
+export const DIFF = {
+  defaultThreshold: 16,       // Per-channel difference (0-255) ignored by default
+  cellSize: 16,               // Changed pixels are grouped into cells...
+  regionGap: 2,               // ...and cells this close (in cells) into one region
+  highlight: [239, 68, 68],   // Changed pixels in the diff image
+  fade: 0.3,                  // How much of the unchanged image shows through
+  boxColor: '#f59e0b',
+  boxWidth: 3,
+  boxPadding: 4
+};
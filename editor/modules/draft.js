@@ -1,7 +1,10 @@
-// Draft save/load module for auto-saving work to chrome.storage.local
+// Draft save/load module for auto-saving work to chrome.storage.local.
+// Images from the capture history are referenced by id; only other images
+// (e.g. a side-by-side layout) are stored inline as data URLs.
 import state from './state.js';
 import { Stroke, Arrow, Rectangle, Ellipse, BlurRegion, TextAnnotation } from './annotations.js';
 import { redrawCanvas } from './canvas-renderer.js';
+import { updateCapture } from '../../scripts/lib/capture-history.js';
 
 const STORAGE_KEY = 'editorDraft';
 const DEBOUNCE_DELAY = 1000;  // 1 second debounce
@@ -14,6 +17,7 @@ const WARNING_SIZE = 2 * 1024 * 1024;  // 2MB warning threshold
 let debounceTimer = null;
 let autoSaveIntervalId = null;
 let currentImageDataUrl = null;
+let currentHistoryId = null;  // Capture history entry the image came from
 let lastSaveError = null;
 let onStorageErrorCallback = null;
 
@@ -88,7 +92,7 @@ function formatBytes(bytes) {
 /**
  * Serialize current annotations to plain objects (no class instances)
  */
-function serializeAnnotations() {
+export function serializeAnnotations() {
   return {
     strokes: state.strokes.map(stroke => ({
       type: 'stroke',
@@ -164,20 +168,29 @@ function isQuotaExceededError(error) {
  * @returns {{ success: boolean, error?: string, quotaExceeded?: boolean }}
  */
 export async function saveDraft(imageDataUrl) {
-  if (!imageDataUrl) {
+  if (!imageDataUrl && !currentHistoryId) {
     return { success: false, error: 'No image data' };
   }
 
+  // Annotations also go to the capture's history entry, which has no size limit
+  if (currentHistoryId) {
+    updateCapture(currentHistoryId, { annotations: serializeAnnotations() }).catch(() => {});
+  }
+
+  const inlineImage = currentHistoryId ? null : imageDataUrl;
+
   // Check size before attempting save
-  const sizeCheck = checkImageSize(imageDataUrl);
+  const sizeCheck = checkImageSize(inlineImage);
   if (!sizeCheck.ok) {
     lastSaveError = { type: 'size', message: sizeCheck.message };
     return { success: false, error: sizeCheck.message, quotaExceeded: true };
   }
 
   const draft = {
-    imageDataUrl: imageDataUrl,
+    imageDataUrl: inlineImage,
     annotations: serializeAnnotations(),
+    historyId: currentHistoryId,
+    pageInfo: inlineImage ? state.pageInfo : null,  // History entries keep their own
     lastModified: Date.now()
   };
 
@@ -240,7 +253,7 @@ export function startAutoSave(imageDataUrl) {
   // Check initial size and warn if large
   const sizeCheck = checkImageSize(imageDataUrl);
   autoSaveIntervalId = setInterval(async () => {
-    if (currentImageDataUrl) {
+    if (currentImageDataUrl || currentHistoryId) {
       await saveDraft(currentImageDataUrl);
     }
   }, AUTO_SAVE_INTERVAL);
@@ -270,7 +283,7 @@ export async function loadDraft() {
     const result = await chrome.storage.local.get([STORAGE_KEY]);
     const draft = result[STORAGE_KEY];
 
-    if (draft && draft.imageDataUrl && draft.annotations) {
+    if (draft && (draft.imageDataUrl || draft.historyId) && draft.annotations) {
       return draft;
     }
 
@@ -286,6 +299,7 @@ export async function loadDraft() {
 export async function clearDraft() {
   stopAutoSave();
   currentImageDataUrl = null;
+  currentHistoryId = null;
   lastSaveError = null;
 
   try {
@@ -387,3 +401,15 @@ export function setDraftImageUrl(imageDataUrl) {
 export function getDraftImageUrl() {
   return currentImageDataUrl;
 }
+
+/**
+ * Link the image being edited to its capture history entry (null for none),
+ * so annotations are saved there too
+ */
+export function setDraftHistoryId(historyId) {
+  currentHistoryId = historyId || null;
+}
+
+export function getDraftHistoryId() {
+  return currentHistoryId;
+}
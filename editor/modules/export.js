@@ -1,30 +1,49 @@
 import state from './state.js';
 import { showSuccess, showError } from './ui-helpers.js';
+import { embedPageInfo } from './page-info.js';
 
 // Generate formatted timestamp: YYYY-MM-DD-HHMMSS
-function getTimestamp() {
+export function getTimestamp() {
   const now = new Date();
   const date = now.toISOString().slice(0, 10); // YYYY-MM-DD
   const time = now.toTimeString().slice(0, 8).replace(/:/g, ''); // HHMMSS
   return `${date}-${time}`;
 }
 
-// Download with format options
-export function downloadAsFormat(format = 'png', quality = 0.9) {
+// Download with format options. PNGs carry the page info if the user
+// turned that on.
+export async function downloadAsFormat(format = 'png', quality = 0.9) {
   const mimeType = format === 'jpeg' ? 'image/jpeg' : 'image/png';
   const extension = format === 'jpeg' ? 'jpg' : 'png';
 
-  const link = document.createElement('a');
-  link.download = `screenshot-${getTimestamp()}.${extension}`;
-  link.href = state.canvas.toDataURL(mimeType, quality);
-  link.click();
+  try {
+    const link = document.createElement('a');
+    link.download = `screenshot-${getTimestamp()}.${extension}`;
+
+    if (format === 'png') {
+      const blob = await embedPageInfo(await canvasToBlob(state.canvas));
+      link.href = URL.createObjectURL(blob);
+      setTimeout(() => URL.revokeObjectURL(link.href), 10000);
+    } else {
+      link.href = state.canvas.toDataURL(mimeType, quality);
+    }
+    link.click();
+
+    showSuccess(`Saved as ${extension.toUpperCase()}!`);
+  } catch (error) {
+    showError('Failed to save: ' + error.message);
+  }
+}
 
-  showSuccess(`Saved as ${extension.toUpperCase()}!`);
+export function canvasToBlob(canvas, type = 'image/png') {
+  return new Promise((resolve, reject) => {
+    canvas.toBlob(blob => blob ? resolve(blob) : reject(new Error('Failed to create image')), type);
+  });
 }
 
 // Download canvas as PNG image (backward compatibility / keyboard shortcut)
-export function downloadImage() {
-  downloadAsFormat('png');
+export async function downloadImage() {
+  await downloadAsFormat('png');
 }
 
 // Copy canvas to clipboard
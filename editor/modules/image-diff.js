@@ -0,0 +1,148 @@
+// Image diff module - pixel comparison of two images for the compare view
+import { DIFF } from './constants.js';
+
+// Rows compared per step; full-page captures are never read in one piece
+const BAND_HEIGHT = 256;
+
+/**
+ * Compare two images pixel by pixel. Both are anchored top-left; where only
+ * one of them has pixels (different sizes) counts as changed.
+ * @param {CanvasImageSource} imageA
+ * @param {CanvasImageSource} imageB
+ * @param {Object} options
+ * @param {number} options.threshold - Per-channel difference to ignore (0-255)
+ * @param {Function} [options.isCancelled] - Checked between bands
+ * @returns {Promise<Object|null>} { canvas, width, height, similarity,
+ *   changedPixels, regions, sizeMismatch }, or null if cancelled
+ */
+export async function computeDiff(imageA, imageB, { threshold, isCancelled }) {
+  const width = Math.max(imageA.width, imageB.width);
+  const height = Math.max(imageA.height, imageB.height);
+  const ctxA = drawToCanvas(imageA, width, height);
+  const ctxB = drawToCanvas(imageB, width, height);
+
+  const output = document.createElement('canvas');
+  output.width = width;
+  output.height = height;
+  const outCtx = output.getContext('2d');
+
+  const cols = Math.ceil(width / DIFF.cellSize);
+  const rows = Math.ceil(height / DIFF.cellSize);
+  const cells = new Uint8Array(cols * rows);
+  const [hr, hg, hb] = DIFF.highlight;
+  let changedPixels = 0;
+
+  for (let top = 0; top < height; top += BAND_HEIGHT) {
+    if (isCancelled?.()) return null;
+
+    const bandHeight = Math.min(BAND_HEIGHT, height - top);
+    const a = ctxA.getImageData(0, top, width, bandHeight).data;
+    const b = ctxB.getImageData(0, top, width, bandHeight).data;
+    const band = outCtx.createImageData(width, bandHeight);
+    const out = band.data;
+
+    for (let y = 0; y < bandHeight; y++) {
+      const cellRow = Math.floor((top + y) / DIFF.cellSize) * cols;
+
+      for (let x = 0; x < width; x++) {
+        const i = (y * width + x) * 4;
+        const delta = Math.max(
+          Math.abs(a[i] - b[i]),
+          Math.abs(a[i + 1] - b[i + 1]),
+          Math.abs(a[i + 2] - b[i + 2]),
+          Math.abs(a[i + 3] - b[i + 3])
+        );
+
+        if (delta > threshold) {
+          changedPixels++;
+          cells[cellRow + Math.floor(x / DIFF.cellSize)] = 1;
+          out[i] = hr;
+          out[i + 1] = hg;
+          out[i + 2] = hb;
+        } else {
+          // Unchanged: washed-out greyscale of the first image
+          const grey = 0.3 * a[i] + 0.59 * a[i + 1] + 0.11 * a[i + 2];
+          const value = 255 - (255 - grey) * DIFF.fade;
+          out[i] = value;
+          out[i + 1] = value;
+          out[i + 2] = value;
+        }
+        out[i + 3] = 255;
+      }
+    }
+
+    outCtx.putImageData(band, 0, top);
+
+    // Let the page repaint between bands
+    await new Promise(resolve => setTimeout(resolve, 0));
+  }
+
+  return {
+    canvas: output,
+    width,
+    height,
+    similarity: 1 - changedPixels / (width * height),
+    changedPixels,
+    regions: findRegions(cells, cols, rows, width, height),
+    sizeMismatch: imageA.width !== imageB.width || imageA.height !== imageB.height
+  };
+}
+
+function drawToCanvas(image, width, height) {
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  const ctx = canvas.getContext('2d', { willReadFrequently: true });
+  ctx.drawImage(image, 0, 0);
+  return ctx;
+}
+
+/**
+ * Group changed cells into bounding boxes (pixels), joining cells that are
+ * up to DIFF.regionGap cells apart so a changed paragraph is one region
+ */
+function findRegions(cells, cols, rows, width, height) {
+  const visited = new Uint8Array(cells.length);
+  const gap = DIFF.regionGap;
+  const regions = [];
+
+  for (let start = 0; start < cells.length; start++) {
+    if (!cells[start] || visited[start]) continue;
+
+    let minCol = cols, minRow = rows, maxCol = 0, maxRow = 0;
+    const stack = [start];
+    visited[start] = 1;
+
+    while (stack.length > 0) {
+      const index = stack.pop();
+      const col = index % cols;
+      const row = Math.floor(index / cols);
+
+      minCol = Math.min(minCol, col);
+      maxCol = Math.max(maxCol, col);
+      minRow = Math.min(minRow, row);
+      maxRow = Math.max(maxRow, row);
+
+      for (let r = Math.max(0, row - gap); r <= Math.min(rows - 1, row + gap); r++) {
+        for (let c = Math.max(0, col - gap); c <= Math.min(cols - 1, col + gap); c++) {
+          const neighbour = r * cols + c;
+          if (cells[neighbour] && !visited[neighbour]) {
+            visited[neighbour] = 1;
+            stack.push(neighbour);
+          }
+        }
+      }
+    }
+
+    const x = minCol * DIFF.cellSize;
+    const y = minRow * DIFF.cellSize;
+    regions.push({
+      x,
+      y,
+      width: Math.min((maxCol + 1) * DIFF.cellSize, width) - x,
+      height: Math.min((maxRow + 1) * DIFF.cellSize, height) - y
+    });
+  }
+
+  return regions;
+}
@@ -0,0 +1,169 @@
+// Page info - where a capture came from (address, title, viewport, time,
+// browser and optionally the page text). Shown in the info panel, and can
+// be embedded in saved PNGs or saved next to them as JSON.
+import state from './state.js';
+import { addPngText } from './png-text.js';
+import { getTimestamp } from './export.js';
+import { showSuccess, showError } from './ui-helpers.js';
+
+const EMBED_SETTING_KEY = 'embedPageInfo';
+
+let embedEnabled = false;
+let panel, content;
+
+export async function setupPageInfo() {
+  panel = document.getElementById('infoPanel');
+  content = document.getElementById('infoContent');
+
+  document.getElementById('infoBtn').addEventListener('click', togglePanel);
+  document.getElementById('closeInfoBtn').addEventListener('click', togglePanel);
+  document.getElementById('saveInfoJsonBtn').addEventListener('click', downloadPageInfo);
+
+  const embedToggle = document.getElementById('embedInfoToggle');
+  const result = await chrome.storage.local.get([EMBED_SETTING_KEY]);
+  embedEnabled = !!result[EMBED_SETTING_KEY];
+  embedToggle.checked = embedEnabled;
+  embedToggle.addEventListener('change', () => {
+    embedEnabled = embedToggle.checked;
+    chrome.storage.local.set({ [EMBED_SETTING_KEY]: embedEnabled });
+  });
+}
+
+/**
+ * Set the info of the image on the canvas (null if unknown, e.g. an
+ * image laid out from several captures)
+ */
+export function setPageInfo(info) {
+  state.pageInfo = info || null;
+  if (panel && panel.style.display !== 'none') render();
+}
+
+/**
+ * Page info for a capture history entry; entries from before page info was
+ * recorded only have the address, title and time
+ */
+export function getCapturePageInfo(capture) {
+  return capture.metadata || {
+    url: capture.url,
+    title: capture.title,
+    capturedAt: new Date(capture.createdAt).toISOString()
+  };
+}
+
+/**
+ * Add the page info to a PNG as text chunks, if the user turned that on
+ * @param {Blob} blob - PNG image
+ * @param {Object} [info] - Defaults to the info of the image on the canvas
+ * @returns {Promise<Blob>}
+ */
+export async function embedPageInfo(blob, info = state.pageInfo) {
+  if (!embedEnabled || !info) return blob;
+
+  try {
+    return await addPngText(blob, {
+      Title: info.title,
+      URL: info.url,
+      'Creation Time': info.capturedAt && new Date(info.capturedAt).toUTCString(),
+      Software: 'Snap Hero',
+      'Snap Hero': JSON.stringify(info)
+    });
+  } catch (error) {
+    showError('Page info not embedded: ' + error.message);
+    return blob;
+  }
+}
+
+function togglePanel() {
+  const open = panel.style.display === 'none';
+  panel.style.display = open ? 'flex' : 'none';
+  document.getElementById('infoBtn').classList.toggle('active', open);
+  if (open) render();
+}
+
+function render() {
+  const info = state.pageInfo;
+  content.textContent = '';
+  document.getElementById('saveInfoJsonBtn').disabled = !info;
+
+  if (!info) {
+    const empty = document.createElement('p');
+    empty.className = 'info-empty';
+    empty.textContent = 'No page information for this image.';
+    content.appendChild(empty);
+    return;
+  }
+
+  const list = document.createElement('dl');
+  list.className = 'info-list';
+
+  const addRow = (label, value) => {
+    if (value === undefined || value === null || value === '') return;
+    const term = document.createElement('dt');
+    term.textContent = label;
+    const detail = document.createElement('dd');
+    if (value instanceof Node) {
+      detail.appendChild(value);
+    } else {
+      detail.textContent = value;
+    }
+    list.append(term, detail);
+  };
+
+  addRow('Page', info.title);
+  if (info.url) {
+    const link = document.createElement('a');
+    link.href = info.url;
+    link.target = '_blank';
+    link.rel = 'noopener';
+    link.textContent = info.url;
+    addRow('Address', link);
+  }
+  addRow('Captured', info.capturedAt && new Date(info.capturedAt).toLocaleString());
+  addRow('Viewport', info.viewport && `${info.viewport.width} × ${info.viewport.height} CSS px`);
+  addRow('Pixel ratio', info.devicePixelRatio);
+  addRow('Browser', info.userAgent);
+  content.appendChild(list);
+
+  if (info.text) {
+    const header = document.createElement('div');
+    header.className = 'info-text-header';
+    const title = document.createElement('span');
+    title.textContent = 'Text in the capture';
+    const copyBtn = document.createElement('button');
+    copyBtn.className = 'action-btn secondary';
+    copyBtn.textContent = 'Copy Text';
+    copyBtn.addEventListener('click', () => copyPageText(info.text));
+    header.append(title, copyBtn);
+
+    const text = document.createElement('pre');
+    text.className = 'info-text';
+    text.textContent = info.text;
+
+    content.append(header, text);
+  }
+}
+
+async function copyPageText(text) {
+  try {
+    await navigator.clipboard.writeText(text);
+    showSuccess('Copied text!');
+  } catch (error) {
+    showError('Failed to copy: ' + error.message);
+  }
+}
+
+/**
+ * Save the page info as a JSON file, e.g. to attach next to the image
+ */
+function downloadPageInfo() {
+  if (!state.pageInfo) return;
+
+  const url = URL.createObjectURL(new Blob([JSON.stringify(state.pageInfo, null, 2)], { type: 'application/json' }));
+  const link = document.createElement('a');
+  link.download = `screenshot-${getTimestamp()}.json`;
+  link.href = url;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 10000);
+
+  showSuccess('Saved page info!');
+}
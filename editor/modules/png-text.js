@@ -0,0 +1,50 @@
+// PNG text chunks - embed keyword/text pairs in a PNG file as iTXt chunks
+// (UTF-8, uncompressed), which image viewers and exiftool can read
+import { crc32 } from '../../scripts/lib/zip-writer.js';
+
+const SIGNATURE_LENGTH = 8;
+const CHUNK_OVERHEAD = 12; // length, type and CRC
+
+/**
+ * Add text chunks right after the IHDR chunk
+ * @param {Blob} blob - PNG image
+ * @param {Object<string, string>} entries - Keyword (1-79 Latin-1
+ *   characters) to text; empty texts are skipped
+ * @returns {Promise<Blob>}
+ */
+export async function addPngText(blob, entries) {
+  const bytes = new Uint8Array(await blob.arrayBuffer());
+  const view = new DataView(bytes.buffer);
+
+  if (String.fromCharCode(...bytes.subarray(12, 16)) !== 'IHDR') {
+    throw new Error('Not a PNG image');
+  }
+  const insertAt = SIGNATURE_LENGTH + CHUNK_OVERHEAD + view.getUint32(SIGNATURE_LENGTH);
+
+  const chunks = Object.entries(entries)
+    .filter(([, text]) => text)
+    .map(([keyword, text]) => createTextChunk(keyword, String(text)));
+
+  return new Blob([bytes.subarray(0, insertAt), ...chunks, bytes.subarray(insertAt)], { type: 'image/png' });
+}
+
+function createTextChunk(keyword, text) {
+  const encoder = new TextEncoder();
+  const keywordBytes = encoder.encode(keyword);
+  const textBytes = encoder.encode(text);
+
+  // Keyword, null separator, compression flag and method (none), then empty
+  // language tag and translated keyword, each null-terminated
+  const data = new Uint8Array(keywordBytes.length + 5 + textBytes.length);
+  data.set(keywordBytes, 0);
+  data.set(textBytes, keywordBytes.length + 5);
+
+  const chunk = new Uint8Array(CHUNK_OVERHEAD + data.length);
+  const view = new DataView(chunk.buffer);
+  view.setUint32(0, data.length);
+  chunk.set(encoder.encode('iTXt'), 4);
+  chunk.set(data, 8);
+  view.setUint32(8 + data.length, crc32(chunk.subarray(4, 8 + data.length)));
+
+  return chunk;
+}
@@ -48,7 +48,10 @@ const state = {
 
   // History for undo/redo
   history: [],
-  historyIndex: -1
+  historyIndex: -1,
+
+  // Where the image on the canvas was captured (see page-info.js)
+  pageInfo: null
 };
 
 // Export the state object (for direct access when needed)
@@ -0,0 +1,278 @@
+// Capture history page - browse, search, reopen, export and delete captures
+import { listCaptures, deleteCaptures, getRetention, pruneHistory } from '../scripts/lib/capture-history.js';
+import { createZip, uniqueNames } from '../scripts/lib/zip-writer.js';
+
+const gallery = document.getElementById('gallery');
+const emptyState = document.getElementById('emptyState');
+const searchInput = document.getElementById('searchInput');
+const selectAllToggle = document.getElementById('selectAllToggle');
+const selectionLabel = document.getElementById('selectionLabel');
+const exportSelectedBtn = document.getElementById('exportSelectedBtn');
+const deleteSelectedBtn = document.getElementById('deleteSelectedBtn');
+const retentionCountSelect = document.getElementById('retentionCountSelect');
+const retentionAgeSelect = document.getElementById('retentionAgeSelect');
+
+// Badges for captures that weren't taken by hand (see AUTOMATED_SOURCES)
+const SOURCE_BADGES = { batch: 'Batch', responsive: 'Responsive', schedule: 'Scheduled' };
+
+let captures = [];
+let selected = new Set();
+let objectUrls = [];
+
+document.addEventListener('DOMContentLoaded', init);
+
+async function init() {
+  const retention = await getRetention();
+  retentionCountSelect.value = String(retention.maxItems || 0);
+  retentionAgeSelect.value = String(retention.maxAgeDays || 0);
+
+  searchInput.addEventListener('input', render);
+  selectAllToggle.addEventListener('change', toggleSelectAll);
+  exportSelectedBtn.addEventListener('click', exportSelected);
+  deleteSelectedBtn.addEventListener('click', deleteSelected);
+  retentionCountSelect.addEventListener('change', saveRetention);
+  retentionAgeSelect.addEventListener('change', saveRetention);
+
+  // Captures taken while this page was in the background
+  document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState === 'visible') refresh();
+  });
+
+  await refresh();
+}
+
+async function refresh() {
+  try {
+    captures = await listCaptures();
+  } catch (error) {
+    captures = [];
+    showToast('Failed to read the history: ' + error.message, true);
+  }
+
+  const ids = new Set(captures.map(capture => capture.id));
+  selected = new Set([...selected].filter(id => ids.has(id)));
+
+  render();
+  updateStorageUsage();
+}
+
+/**
+ * Captures matching every word of the search, on title, address or label
+ */
+function getVisibleCaptures() {
+  const terms = searchInput.value.toLowerCase().split(/\s+/).filter(Boolean);
+  if (terms.length === 0) return captures;
+
+  return captures.filter(capture => {
+    const text = [capture.title, capture.url, capture.label].filter(Boolean).join(' ').toLowerCase();
+    return terms.every(term => text.includes(term));
+  });
+}
+
+function render() {
+  objectUrls.forEach(url => URL.revokeObjectURL(url));
+  objectUrls = [];
+  gallery.textContent = '';
+
+  const visible = getVisibleCaptures();
+  visible.forEach(capture => gallery.appendChild(createCard(capture)));
+
+  emptyState.hidden = visible.length > 0;
+  emptyState.textContent = captures.length === 0
+    ? 'No captures yet. Screenshots you take will show up here.'
+    : 'No captures match your search.';
+
+  updateSelection();
+}
+
+function createCard(capture) {
+  const card = document.createElement('article');
+  card.className = 'capture-card';
+  card.classList.toggle('selected', selected.has(capture.id));
+
+  const checkbox = document.createElement('input');
+  checkbox.type = 'checkbox';
+  checkbox.className = 'card-select';
+  checkbox.checked = selected.has(capture.id);
+  checkbox.setAttribute('aria-label', 'Select ' + capture.title);
+  checkbox.addEventListener('change', () => {
+    if (checkbox.checked) {
+      selected.add(capture.id);
+    } else {
+      selected.delete(capture.id);
+    }
+    card.classList.toggle('selected', checkbox.checked);
+    updateSelection();
+  });
+
+  const url = URL.createObjectURL(capture.thumbnail || capture.blob);
+  objectUrls.push(url);
+  const thumb = document.createElement('img');
+  thumb.className = 'card-thumb';
+  thumb.src = url;
+  thumb.alt = capture.title;
+  thumb.title = 'Open in editor';
+  thumb.addEventListener('click', () => openInEditor(capture.id));
+
+  const body = document.createElement('div');
+  body.className = 'card-body';
+
+  const title = document.createElement('span');
+  title.className = 'card-title';
+  title.textContent = capture.label ? `${capture.title} · ${capture.label}` : capture.title;
+  title.title = title.textContent;
+
+  const address = document.createElement('span');
+  address.className = 'card-meta';
+  address.textContent = capture.url || '';
+  address.title = capture.url || '';
+
+  const details = document.createElement('span');
+  details.className = 'card-meta';
+  details.textContent = `${new Date(capture.createdAt).toLocaleString()} · ${capture.width} × ${capture.height}`;
+
+  body.append(title, address, details);
+  card.append(checkbox, thumb, body);
+
+  if (SOURCE_BADGES[capture.source]) {
+    const badge = document.createElement('span');
+    badge.className = 'card-badge';
+    badge.textContent = SOURCE_BADGES[capture.source];
+    card.appendChild(badge);
+  }
+
+  return card;
+}
+
+function updateSelection() {
+  const visible = getVisibleCaptures();
+  const count = selected.size;
+
+  selectionLabel.textContent = count > 0 ? `${count} selected` : 'Select all';
+  selectAllToggle.checked = visible.length > 0 && visible.every(capture => selected.has(capture.id));
+  selectAllToggle.indeterminate = count > 0 && !selectAllToggle.checked;
+  exportSelectedBtn.disabled = count === 0;
+  deleteSelectedBtn.disabled = count === 0;
+}
+
+function toggleSelectAll() {
+  const visible = getVisibleCaptures();
+  if (selectAllToggle.checked) {
+    visible.forEach(capture => selected.add(capture.id));
+  } else {
+    visible.forEach(capture => selected.delete(capture.id));
+  }
+  render();
+}
+
+function openInEditor(id) {
+  chrome.tabs.create({ url: chrome.runtime.getURL(`editor/editor.html?history=${id}`) });
+}
+
+async function deleteSelected() {
+  const count = selected.size;
+  if (!confirm(`Delete ${count} capture${count === 1 ? '' : 's'} from the history?`)) return;
+
+  try {
+    await deleteCaptures([...selected]);
+    selected.clear();
+    showToast(`Deleted ${count} capture${count === 1 ? '' : 's'}`);
+  } catch (error) {
+    showToast('Failed to delete: ' + error.message, true);
+  }
+  await refresh();
+}
+
+/**
+ * Download the selected captures' original images as one ZIP
+ */
+async function exportSelected() {
+  const chosen = captures.filter(capture => selected.has(capture.id));
+  exportSelectedBtn.disabled = true;
+
+  try {
+    const names = uniqueNames(chosen.map(getFileName));
+    const files = await Promise.all(chosen.map(async (capture, i) => ({
+      name: names[i],
+      data: new Uint8Array(await capture.blob.arrayBuffer())
+    })));
+
+    const url = URL.createObjectURL(createZip(files));
+    const link = document.createElement('a');
+    link.download = `snap-hero-history-${formatTimestamp(Date.now())}.zip`;
+    link.href = url;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 10000);
+
+    showToast(`Exported ${chosen.length} capture${chosen.length === 1 ? '' : 's'}`);
+  } catch (error) {
+    showToast('Failed to export: ' + error.message, true);
+  } finally {
+    updateSelection();
+  }
+}
+
+/**
+ * File name from the capture time and page title, e.g.
+ * "2024-05-01-093000-release-notes.png"
+ */
+function getFileName(capture) {
+  const slug = (capture.title || '')
+    .normalize('NFKD')
+    .replace(/[^\w\s.-]/g, '')
+    .trim()
+    .replace(/[\s_]+/g, '-')
+    .replace(/-+/g, '-')
+    .slice(0, 60)
+    .replace(/^[-.]+|[-.]+$/g, '')
+    .toLowerCase();
+
+  return [formatTimestamp(capture.createdAt), slug].filter(Boolean).join('-') + '.png';
+}
+
+function formatTimestamp(time) {
+  const date = new Date(time);
+  const pad = (value) => String(value).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}-` +
+    `${pad(date.getHours())}${pad(date.getMinutes())}${pad(date.getSeconds())}`;
+}
+
+async function saveRetention() {
+  const historyRetention = {
+    maxItems: Number(retentionCountSelect.value) || null,
+    maxAgeDays: Number(retentionAgeSelect.value) || null
+  };
+  await chrome.storage.local.set({ historyRetention });
+
+  const deleted = await pruneHistory(historyRetention);
+  if (deleted > 0) {
+    showToast(`Removed ${deleted} older capture${deleted === 1 ? '' : 's'}`);
+    await refresh();
+  }
+}
+
+async function updateStorageUsage() {
+  const label = document.getElementById('storageUsage');
+  try {
+    const { usage } = await navigator.storage.estimate();
+    label.textContent = `${formatBytes(usage)} used`;
+  } catch {
+    label.textContent = '';
+  }
+}
+
+function formatBytes(bytes) {
+  if (bytes < 1024) return bytes + ' B';
+  if (bytes < 1024 * 1024) return (bytes / 1024).toFixed(1) + ' KB';
+  return (bytes / (1024 * 1024)).toFixed(1) + ' MB';
+}
+
+function showToast(message, isError = false) {
+  const toast = document.getElementById('toast');
+  toast.textContent = message;
+  toast.classList.toggle('error', isError);
+  toast.classList.add('visible');
+
+  clearTimeout(showToast.timer);
+  showToast.timer = setTimeout(() => toast.classList.remove('visible'), 3000);
+}
@@ -0,0 +1,22 @@
+// Offscreen document - does what the service worker can't: turns Blobs
+// (handed over as transfers) into object URLs for chrome.downloads, and
+// revokes them again when the download is done
+import { takeTransfer } from '../scripts/lib/capture-history.js';
+
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  if (message.target !== 'offscreen') return false;
+
+  if (message.action === 'createObjectUrl') {
+    takeTransfer(message.transferId)
+      .then(blob => sendResponse({ url: URL.createObjectURL(blob) }))
+      .catch(error => sendResponse({ error: error.message }));
+    return true;
+  }
+
+  if (message.action === 'revokeObjectUrl') {
+    URL.revokeObjectURL(message.url);
+    return false;
+  }
+
+  return false;
+});
@@ -1,6 +1,46 @@
 const captureVisibleBtn = document.getElementById('captureVisibleBtn');
 const captureFullPageBtn = document.getElementById('captureFullPageBtn');
 const captureAreaBtn = document.getElementById('captureAreaBtn');
+const captureContainerBtn = document.getElementById('captureContainerBtn');
+const captureElementBtn = document.getElementById('captureElementBtn');
+const captureLastRegionBtn = document.getElementById('captureLastRegionBtn');
+const savedRegionList = document.getElementById('savedRegionList');
+const saveRegionForm = document.getElementById('saveRegionForm');
+const regionNameInput = document.getElementById('regionNameInput');
+const captureBatchBtn = document.getElementById('captureBatchBtn');
+const batchScopeSelect = document.getElementById('batchScopeSelect');
+const batchKindSelect = document.getElementById('batchKindSelect');
+const batchOutputSelect = document.getElementById('batchOutputSelect');
+const captureResponsiveBtn = document.getElementById('captureResponsiveBtn');
+const responsiveWidthsInput = document.getElementById('responsiveWidthsInput');
+const startScheduleBtn = document.getElementById('startScheduleBtn');
+const scheduleKindSelect = document.getElementById('scheduleKindSelect');
+const scheduleRepeatSelect = document.getElementById('scheduleRepeatSelect');
+const scheduleValueInput = document.getElementById('scheduleValueInput');
+const scheduleCountInput = document.getElementById('scheduleCountInput');
+const scheduleEndInput = document.getElementById('scheduleEndInput');
+const scheduleList = document.getElementById('scheduleList');
+const reviewFixedToggle = document.getElementById('reviewFixedToggle');
+const alignSeamsToggle = document.getElementById('alignSeamsToggle');
+const snapToggle = document.getElementById('snapToggle');
+const captureTextToggle = document.getElementById('captureTextToggle');
+const cleanupToggle = document.getElementById('cleanupToggle');
+const pickCleanupToggle = document.getElementById('pickCleanupToggle');
+const delaySelect = document.getElementById('delaySelect');
+const customDelayInput = document.getElementById('customDelayInput');
+const readinessSelect = document.getElementById('readinessSelect');
+const readinessDelayInput = document.getElementById('readinessDelayInput');
+const readinessSelectorInput = document.getElementById('readinessSelectorInput');
+const rememberReadinessToggle = document.getElementById('rememberReadinessToggle');
+const readinessSiteDesc = document.getElementById('readinessSiteDesc');
+
+// Preset countdown lengths offered in the delay menu (seconds)
+const DELAY_PRESETS = [0, 3, 5, 10];
+const MAX_DELAY = 60;
+
+// Fixed readiness delay after each full-page segment scrolls into view (ms)
+const DEFAULT_READINESS_DELAY = 300;
+const MAX_READINESS_DELAY = 10000;
 
 // Error type constants (must match background.js)
 const CaptureErrorType = {
@@ -92,6 +132,14 @@ async function captureWithRetry(mode, maxRetries = 2) {
 
 // Capture Visible button handler
 captureVisibleBtn.addEventListener('click', async () => {
+  if (!checkDelay()) return;
+
+  // Delayed captures run from the page, which needs the tab
+  if (getDelaySeconds() > 0) {
+    startTabCapture(captureVisibleBtn, 'visible');
+    return;
+  }
+
   clearMessages();
   setButtonLoading(captureVisibleBtn, true);
 
@@ -113,6 +161,7 @@ captureVisibleBtn.addEventListener('click', async () => {
 
 // Capture Full Page button handler
 captureFullPageBtn.addEventListener('click', async () => {
+  if (!checkDelay()) return;
   clearMessages();
   setButtonLoading(captureFullPageBtn, true);
   showStatus('Capturing full page...');
@@ -136,7 +185,9 @@ captureFullPageBtn.addEventListener('click', async () => {
     const response = await chrome.runtime.sendMessage({
       action: 'capture',
       mode: 'fullPage',
-      tabId: tab.id
+      tabId: tab.id,
+      delay: getDelaySeconds(),
+      readiness: getReadiness()
     });
 
     if (!response) {
@@ -160,6 +211,7 @@ captureFullPageBtn.addEventListener('click', async () => {
 
 // Capture Area Select button handler
 captureAreaBtn.addEventListener('click', async () => {
+  if (!checkDelay()) return;
   clearMessages();
   setButtonLoading(captureAreaBtn, true);
 
@@ -182,7 +234,8 @@ captureAreaBtn.addEventListener('click', async () => {
     const response = await chrome.runtime.sendMessage({
       action: 'capture',
       mode: 'areaSelect',
-      tabId: tab.id
+      tabId: tab.id,
+      delay: getDelaySeconds()
     });
 
     if (!response) {
@@ -202,6 +255,605 @@ captureAreaBtn.addEventListener('click', async () => {
   }
 });
 
+// Pick Element button handler
+captureElementBtn.addEventListener('click', () => {
+  startTabCapture(captureElementBtn, 'elementPicker');
+});
+
+// Capture Scrolling Panel button handler
+captureContainerBtn.addEventListener('click', () => {
+  startTabCapture(captureContainerBtn, 'scrollContainer', { readiness: getReadiness() });
+});
+
+/**
+ * Start a capture that runs inside the active tab (picker or overlay based).
+ * Closes the popup once the page script has been injected.
+ */
+async function startTabCapture(button, mode, extra = {}) {
+  if (!checkDelay()) return;
+  clearMessages();
+  setButtonLoading(button, true);
+
+  try {
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+
+    if (!tab) {
+      showError(getUserMessage({ message: 'No active tab' }));
+      setButtonLoading(button, false);
+      return;
+    }
+
+    // Check for protected pages
+    if (tab.url.startsWith('chrome://') || tab.url.startsWith('chrome-extension://') || tab.url.startsWith('about:')) {
+      showError(getUserMessage({ message: tab.url }));
+      setButtonLoading(button, false);
+      return;
+    }
+
+    const response = await chrome.runtime.sendMessage({
+      action: 'capture',
+      mode,
+      tabId: tab.id,
+      delay: getDelaySeconds(),
+      ...extra
+    });
+
+    if (!response) {
+      setTimeout(() => window.close(), 500);
+      return;
+    }
+
+    if (response.error) {
+      showError(getUserMessage(response), response.errorType);
+      setButtonLoading(button, false);
+    } else if (response.success) {
+      window.close();
+    }
+  } catch (error) {
+    showError(getUserMessage(error), error.errorType);
+    setButtonLoading(button, false);
+  }
+}
+
+// Saved regions: captured again without the selection overlay
+let currentOrigin = null;
+let lastRegion = null;
+
+loadRegions();
+
+captureLastRegionBtn.addEventListener('click', () => {
+  startTabCapture(captureLastRegionBtn, 'lastRegion');
+});
+
+saveRegionForm.addEventListener('submit', async (e) => {
+  e.preventDefault();
+  const name = regionNameInput.value.trim();
+  if (!name || !lastRegion || !currentOrigin) return;
+
+  const { savedRegions = {} } = await chrome.storage.local.get(['savedRegions']);
+  const regions = (savedRegions[currentOrigin] || []).filter(r => r.name !== name);
+  regions.push({ name, rect: lastRegion.rect, relativeTo: lastRegion.relativeTo });
+  savedRegions[currentOrigin] = regions;
+  await chrome.storage.local.set({ savedRegions });
+
+  regionNameInput.value = '';
+  renderRegions(regions);
+});
+
+async function loadRegions() {
+  const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+  try {
+    currentOrigin = tab?.url ? new URL(tab.url).origin : null;
+  } catch {
+    currentOrigin = null;
+  }
+
+  const { lastAreaSelection, savedRegions = {} } = await chrome.storage.local.get(['lastAreaSelection', 'savedRegions']);
+  lastRegion = lastAreaSelection || null;
+
+  captureLastRegionBtn.disabled = !lastRegion;
+  const canSave = !!lastRegion && !!currentOrigin && currentOrigin !== 'null';
+  regionNameInput.disabled = !canSave;
+  saveRegionForm.querySelector('button').disabled = !canSave;
+
+  renderRegions(savedRegions[currentOrigin] || []);
+}
+
+function renderRegions(regions) {
+  savedRegionList.textContent = '';
+
+  regions.forEach(region => {
+    const item = document.createElement('li');
+    item.className = 'region-item';
+
+    const captureBtn = document.createElement('button');
+    captureBtn.className = 'region-capture';
+    const name = document.createElement('span');
+    name.textContent = region.name;
+    const size = document.createElement('span');
+    size.className = 'region-size';
+    size.textContent = Math.round(region.rect.width) + ' \u00D7 ' + Math.round(region.rect.height);
+    captureBtn.append(name, size);
+    captureBtn.addEventListener('click', () => {
+      startTabCapture(captureBtn, 'region', { rect: region.rect, relativeTo: region.relativeTo });
+    });
+
+    const deleteBtn = document.createElement('button');
+    deleteBtn.className = 'region-delete';
+    deleteBtn.textContent = '\u00D7';
+    deleteBtn.title = 'Delete ' + region.name;
+    deleteBtn.addEventListener('click', () => deleteRegion(region.name));
+
+    item.append(captureBtn, deleteBtn);
+    savedRegionList.appendChild(item);
+  });
+}
+
+async function deleteRegion(name) {
+  const { savedRegions = {} } = await chrome.storage.local.get(['savedRegions']);
+  const regions = (savedRegions[currentOrigin] || []).filter(r => r.name !== name);
+  if (regions.length > 0) {
+    savedRegions[currentOrigin] = regions;
+  } else {
+    delete savedRegions[currentOrigin];
+  }
+  await chrome.storage.local.set({ savedRegions });
+  renderRegions(regions);
+}
+
+// Batch capture of the window's tabs
+captureBatchBtn.addEventListener('click', async () => {
+  clearMessages();
+
+  // Capturing tabs other than the active one needs host access; ask while
+  // we still have the click's user gesture
+  const granted = await chrome.permissions.request({ origins: ['<all_urls>'] });
+  if (!granted) {
+    showError('Batch capture needs access to all sites to capture other tabs.');
+    return;
+  }
+
+  const batch = {
+    scope: batchScopeSelect.value,
+    kind: batchKindSelect.value,
+    output: batchOutputSelect.value
+  };
+  saveSettings({ batch });
+
+  try {
+    const currentWindow = await chrome.windows.getCurrent();
+    const response = await chrome.runtime.sendMessage({
+      action: 'captureBatch',
+      windowId: currentWindow.id,
+      ...batch
+    });
+
+    if (response?.error) {
+      showError(getUserMessage(response), response.errorType);
+    } else {
+      window.close();
+    }
+  } catch (error) {
+    showError(getUserMessage(error), error.errorType);
+  }
+});
+
+// Responsive set: full page at several viewport widths
+captureResponsiveBtn.addEventListener('click', () => {
+  const widths = parseWidths(responsiveWidthsInput.value);
+  if (widths.length === 0) {
+    showError('Enter one or more widths in pixels, e.g. 375, 768, 1280');
+    return;
+  }
+
+  responsiveWidthsInput.value = widths.join(', ');
+  saveSettings({ responsiveWidths: widths });
+  startTabCapture(captureResponsiveBtn, 'responsive', { widths });
+});
+
+/**
+ * Read a comma or space separated list of widths, dropping anything that
+ * isn't a sensible viewport width
+ */
+function parseWidths(text) {
+  const widths = text.split(/[\s,;]+/)
+    .map(Number)
+    .filter(width => Number.isInteger(width) && width >= 200 && width <= 7680);
+  return [...new Set(widths)];
+}
+
+// Scheduled captures of the current tab into local history
+loadSchedules();
+
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area === 'local' && changes.captureSchedules) {
+    renderSchedules(changes.captureSchedules.newValue || []);
+  }
+});
+
+scheduleRepeatSelect.addEventListener('change', () => {
+  const atTimes = scheduleRepeatSelect.value === 'times';
+  scheduleValueInput.value = atTimes ? '09:00, 17:00' : '15';
+  scheduleValueInput.setAttribute('aria-label', atTimes ? 'Times of day' : 'Interval in minutes');
+  scheduleValueInput.focus();
+});
+
+startScheduleBtn.addEventListener('click', async () => {
+  clearMessages();
+
+  const repeat = scheduleRepeatSelect.value === 'times'
+    ? { times: parseTimes(scheduleValueInput.value) }
+    : { intervalMinutes: Number(scheduleValueInput.value) };
+  if (repeat.times?.length === 0 || (repeat.intervalMinutes !== undefined && !(repeat.intervalMinutes >= 1))) {
+    showError(repeat.times
+      ? 'Enter one or more times of day, e.g. 09:00, 17:30'
+      : 'Enter an interval of at least 1 minute');
+    return;
+  }
+
+  // The tab is captured later, without a click on the extension, which
+  // needs host access; ask while we still have the user gesture
+  const granted = await chrome.permissions.request({ origins: ['<all_urls>'] });
+  if (!granted) {
+    showError('Scheduled captures need access to all sites to capture the tab later.');
+    return;
+  }
+
+  try {
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    if (!tab) {
+      showError(getUserMessage({ message: 'No active tab' }));
+      return;
+    }
+
+    const response = await chrome.runtime.sendMessage({
+      action: 'createSchedule',
+      tabId: tab.id,
+      mode: scheduleKindSelect.value,
+      ...repeat,
+      maxCount: Number(scheduleCountInput.value) || null,
+      endAt: scheduleEndInput.value ? new Date(scheduleEndInput.value).getTime() : null
+    });
+
+    if (response?.error) {
+      showError(getUserMessage(response), response.errorType);
+    } else {
+      showStatus('Schedule started. Captures are kept in local history.');
+    }
+  } catch (error) {
+    showError(getUserMessage(error), error.errorType);
+  }
+});
+
+/**
+ * Read a comma or space separated list of HH:MM times
+ */
+function parseTimes(text) {
+  const times = text.split(/[\s,;]+/)
+    .filter(time => /^([01]?\d|2[0-3]):[0-5]\d$/.test(time))
+    .map(time => time.padStart(5, '0'));
+  return [...new Set(times)].sort();
+}
+
+async function loadSchedules() {
+  const { captureSchedules = [] } = await chrome.storage.local.get(['captureSchedules']);
+  renderSchedules(captureSchedules);
+}
+
+function renderSchedules(schedules) {
+  scheduleList.textContent = '';
+
+  schedules.forEach(schedule => {
+    const item = document.createElement('li');
+    item.className = 'region-item';
+
+    const openBtn = document.createElement('button');
+    openBtn.className = 'region-capture';
+    openBtn.title = schedule.count > 0 ? 'Open the latest capture' : 'Nothing captured yet';
+    openBtn.disabled = schedule.count === 0;
+
+    const info = document.createElement('span');
+    info.className = 'schedule-info';
+    const title = document.createElement('span');
+    title.textContent = schedule.title;
+    const detail = document.createElement('span');
+    detail.className = schedule.lastError ? 'region-size schedule-error' : 'region-size';
+    detail.textContent = schedule.paused
+      ? `Paused after ${schedule.failures} failed runs \u00B7 ${schedule.lastError}`
+      : schedule.lastError || describeSchedule(schedule);
+    info.append(title, detail);
+
+    const count = document.createElement('span');
+    count.className = 'region-size';
+    count.textContent = schedule.maxCount ? `${schedule.count}/${schedule.maxCount}` : String(schedule.count);
+    openBtn.append(info, count);
+    openBtn.addEventListener('click', async () => {
+      const response = await chrome.runtime.sendMessage({ action: 'openScheduledCapture', scheduleId: schedule.id });
+      if (response?.error) {
+        showError(getUserMessage(response), response.errorType);
+      } else {
+        window.close();
+      }
+    });
+
+    const stopBtn = document.createElement('button');
+    stopBtn.className = 'region-delete';
+    stopBtn.textContent = '\u00D7';
+    stopBtn.title = 'Stop this schedule';
+    stopBtn.addEventListener('click', () => {
+      chrome.runtime.sendMessage({ action: 'stopSchedule', scheduleId: schedule.id });
+    });
+
+    item.append(openBtn);
+    if (schedule.paused) {
+      const resumeBtn = document.createElement('button');
+      resumeBtn.className = 'region-delete schedule-resume';
+      resumeBtn.textContent = '\u21BB';
+      resumeBtn.title = 'Resume this schedule';
+      resumeBtn.addEventListener('click', () => {
+        chrome.runtime.sendMessage({ action: 'resumeSchedule', scheduleId: schedule.id });
+      });
+      item.append(resumeBtn);
+    }
+    item.append(stopBtn);
+    scheduleList.appendChild(item);
+  });
+}
+
+function describeSchedule(schedule) {
+  const kind = schedule.mode === 'fullPage' ? 'Full page' : 'Visible';
+  const repeat = schedule.times
+    ? 'at ' + schedule.times.join(', ')
+    : `every ${schedule.intervalMinutes} min`;
+  const next = new Date(schedule.nextRunAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+  return `${kind} ${repeat} \u00B7 next ${next}`;
+}
+
+// Capture history page
+document.getElementById('openHistoryBtn').addEventListener('click', () => {
+  chrome.tabs.create({ url: chrome.runtime.getURL('gallery/gallery.html') });
+  window.close();
+});
+
+document.getElementById('openDiagnosticsBtn').addEventListener('click', () => {
+  chrome.tabs.create({ url: chrome.runtime.getURL('diagnostics/diagnostics.html') });
+  window.close();
+});
+
+// Keyboard shortcut hint, showing the key the user actually has assigned
+loadShortcutHint();
+
+document.getElementById('shortcutSettingsLink').addEventListener('click', (e) => {
+  e.preventDefault();
+  chrome.tabs.create({ url: 'chrome://extensions/shortcuts' });
+  window.close();
+});
+
+async function loadShortcutHint() {
+  const commands = await chrome.commands.getAll();
+  const visible = commands.find(c => c.name === 'capture-visible');
+  const hint = document.getElementById('shortcutHint');
+  const link = document.getElementById('shortcutSettingsLink');
+
+  hint.textContent = '';
+  if (visible?.shortcut) {
+    visible.shortcut.split('+').forEach((key, i) => {
+      if (i > 0) hint.append(' + ');
+      const kbd = document.createElement('kbd');
+      kbd.textContent = key;
+      hint.append(kbd);
+    });
+    hint.append(' for quick capture');
+  } else {
+    hint.append('No capture shortcut set');
+  }
+  hint.append(link);
+}
+
+// Capture settings (read by the background script when a capture starts)
+loadSettings();
+
+reviewFixedToggle.addEventListener('change', () => {
+  saveSettings({ reviewFixedElements: reviewFixedToggle.checked });
+});
+
+alignSeamsToggle.addEventListener('change', () => {
+  saveSettings({ alignSeams: alignSeamsToggle.checked });
+});
+
+snapToggle.addEventListener('change', () => {
+  saveSettings({ snapToElements: snapToggle.checked });
+});
+
+captureTextToggle.addEventListener('change', () => {
+  saveSettings({ captureText: captureTextToggle.checked });
+});
+
+cleanupToggle.addEventListener('change', () => {
+  pickCleanupToggle.disabled = !cleanupToggle.checked;
+  saveSettings({ cleanupPage: cleanupToggle.checked });
+});
+
+pickCleanupToggle.addEventListener('change', () => {
+  saveSettings({ pickCleanupElements: pickCleanupToggle.checked });
+});
+
+document.getElementById('editCleanupRulesLink').addEventListener('click', (e) => {
+  e.preventDefault();
+  chrome.tabs.create({ url: chrome.runtime.getURL('cleanup/cleanup.html') });
+  window.close();
+});
+
+delaySelect.addEventListener('change', () => {
+  customDelayInput.hidden = delaySelect.value !== 'custom';
+  if (!customDelayInput.hidden) customDelayInput.focus();
+  if (getDelaySeconds() !== null) saveSettings({ captureDelay: getDelaySeconds() });
+});
+
+customDelayInput.addEventListener('change', () => {
+  if (!checkDelay()) return;
+  clearMessages();
+  customDelayInput.value = getDelaySeconds();
+  saveSettings({ captureDelay: getDelaySeconds() });
+});
+
+// Page readiness: sent with full-page captures from the popup, and saved
+// for the tab's origin when the user wants it remembered
+let readinessOrigin = null;
+
+loadReadiness();
+
+readinessSelect.addEventListener('change', () => {
+  updateReadinessInputs();
+  if (readinessSelect.value === 'selector') readinessSelectorInput.focus();
+  saveReadiness();
+});
+
+readinessDelayInput.addEventListener('change', () => {
+  readinessDelayInput.value = getReadiness().delay;
+  saveReadiness();
+});
+
+readinessSelectorInput.addEventListener('change', () => {
+  const selector = readinessSelectorInput.value.trim();
+  if (selector && !isValidSelector(selector)) {
+    showError('That is not a valid CSS selector.');
+    return;
+  }
+  clearMessages();
+  saveReadiness();
+});
+
+rememberReadinessToggle.addEventListener('change', saveReadiness);
+
+async function loadReadiness() {
+  const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+  try {
+    readinessOrigin = tab?.url ? new URL(tab.url).origin : null;
+  } catch {
+    readinessOrigin = null;
+  }
+  if (readinessOrigin === 'null') readinessOrigin = null;
+
+  const { readinessByOrigin = {} } = await chrome.storage.local.get(['readinessByOrigin']);
+  const saved = readinessOrigin ? readinessByOrigin[readinessOrigin] : null;
+  if (saved) {
+    readinessSelect.value = saved.strategy;
+    if (saved.delay !== undefined) readinessDelayInput.value = saved.delay;
+    readinessSelectorInput.value = saved.selector || '';
+  }
+
+  rememberReadinessToggle.checked = !!saved;
+  rememberReadinessToggle.disabled = !readinessOrigin;
+  if (readinessOrigin) {
+    readinessSiteDesc.textContent = `Always wait this way on ${new URL(readinessOrigin).host}`;
+  }
+  updateReadinessInputs();
+}
+
+async function saveReadiness() {
+  if (!readinessOrigin) return;
+
+  const { readinessByOrigin = {} } = await chrome.storage.local.get(['readinessByOrigin']);
+  if (rememberReadinessToggle.checked) {
+    readinessByOrigin[readinessOrigin] = getReadiness();
+  } else {
+    delete readinessByOrigin[readinessOrigin];
+  }
+  await chrome.storage.local.set({ readinessByOrigin });
+}
+
+function updateReadinessInputs() {
+  readinessDelayInput.hidden = readinessSelect.value !== 'fixed';
+  readinessSelectorInput.hidden = readinessSelect.value !== 'selector';
+}
+
+/**
+ * Readiness strategy chosen in the popup (see getReadiness in background.js)
+ */
+function getReadiness() {
+  const strategy = readinessSelect.value;
+  if (strategy === 'fixed') {
+    const ms = Math.round(Number(readinessDelayInput.value));
+    const delay = readinessDelayInput.value !== '' && Number.isFinite(ms)
+      ? Math.min(Math.max(ms, 0), MAX_READINESS_DELAY)
+      : DEFAULT_READINESS_DELAY;
+    return { strategy, delay };
+  }
+  if (strategy === 'selector') {
+    return { strategy, selector: readinessSelectorInput.value.trim() };
+  }
+  return { strategy };
+}
+
+function isValidSelector(selector) {
+  try {
+    document.createDocumentFragment().querySelector(selector);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Countdown length chosen in the popup, in seconds (0 = capture immediately).
+ * Null when the custom delay is empty or not a number.
+ */
+function getDelaySeconds() {
+  if (delaySelect.value !== 'custom') {
+    return Number(delaySelect.value);
+  }
+  const seconds = Math.round(Number(customDelayInput.value));
+  return customDelayInput.value !== '' && Number.isFinite(seconds)
+    ? Math.min(Math.max(seconds, 1), MAX_DELAY)
+    : null;
+}
+
+/**
+ * Show an error instead of capturing when the custom delay can't be used
+ */
+function checkDelay() {
+  if (getDelaySeconds() !== null) return true;
+  showError(`Enter a delay of 1 to ${MAX_DELAY} seconds.`);
+  customDelayInput.focus();
+  return false;
+}
+
+async function loadSettings() {
+  const { captureSettings = {} } = await chrome.storage.local.get(['captureSettings']);
+  reviewFixedToggle.checked = !!captureSettings.reviewFixedElements;
+  alignSeamsToggle.checked = !!captureSettings.alignSeams;
+  snapToggle.checked = !!captureSettings.snapToElements;
+  captureTextToggle.checked = !!captureSettings.captureText;
+  cleanupToggle.checked = !!captureSettings.cleanupPage;
+  pickCleanupToggle.checked = !!captureSettings.pickCleanupElements;
+  pickCleanupToggle.disabled = !cleanupToggle.checked;
+
+  if (captureSettings.responsiveWidths?.length) {
+    responsiveWidthsInput.value = captureSettings.responsiveWidths.join(', ');
+  }
+
+  if (captureSettings.batch) {
+    batchScopeSelect.value = captureSettings.batch.scope;
+    batchKindSelect.value = captureSettings.batch.kind;
+    batchOutputSelect.value = captureSettings.batch.output;
+  }
+
+  const captureDelay = captureSettings.captureDelay || 0;
+  if (DELAY_PRESETS.includes(captureDelay)) {
+    delaySelect.value = String(captureDelay);
+  } else {
+    delaySelect.value = 'custom';
+    customDelayInput.value = captureDelay;
+    customDelayInput.hidden = false;
+  }
+}
+
+async function saveSettings(changes) {
+  const { captureSettings = {} } = await chrome.storage.local.get(['captureSettings']);
+  await chrome.storage.local.set({ captureSettings: { ...captureSettings, ...changes } });
+}
+
 function timeout(ms, message) {
   return new Promise((_, reject) => {
     setTimeout(() => reject(new Error(message)), ms);
@@ -213,17 +865,10 @@ function delay(ms) {
 }
 
 function setButtonLoading(button, isLoading) {
-  if (isLoading) {
-    button.classList.add('loading');
-    captureVisibleBtn.disabled = true;
-    captureFullPageBtn.disabled = true;
-    captureAreaBtn.disabled = true;
-  } else {
-    button.classList.remove('loading');
-    captureVisibleBtn.disabled = false;
-    captureFullPageBtn.disabled = false;
-    captureAreaBtn.disabled = false;
-  }
+  button.classList.toggle('loading', isLoading);
+  document.querySelectorAll('.capture-card').forEach(card => {
+    card.disabled = isLoading;
+  });
 }
 
 function showError(message, errorType = null) {
@@ -0,0 +1,43 @@
+// Capture relay - loaded in a hidden frame by full-page.js, which can't
+// reach the extension's IndexedDB itself. Stores the stitched images as
+// transfers and answers on the message port with their ids. Only captures
+// started by the background script (which handed them a one-time token)
+// are accepted.
+import { addTransfer } from '../scripts/lib/capture-history.js';
+
+const RELAY_TOKEN_PREFIX = 'relayToken:';
+
+window.addEventListener('message', async (event) => {
+  const port = event.ports[0];
+  const { token, blobs } = event.data || {};
+  if (!port || typeof token !== 'string' || !Array.isArray(blobs)) return;
+
+  try {
+    if (!(await claimToken(token))) {
+      throw new Error('Unknown capture');
+    }
+    if (!blobs.every(blob => blob instanceof Blob)) {
+      throw new Error('Not an image');
+    }
+
+    const ids = [];
+    for (const blob of blobs) {
+      ids.push(await addTransfer(blob));
+    }
+    port.postMessage({ ids });
+  } catch (error) {
+    port.postMessage({ error: error.message });
+  }
+});
+
+/**
+ * Use up a token - true if the background script issued it
+ */
+async function claimToken(token) {
+  const key = RELAY_TOKEN_PREFIX + token;
+  const result = await chrome.storage.session.get([key]);
+  if (!result[key]) return false;
+
+  await chrome.storage.session.remove(key);
+  return true;
+}
@@ -1,7 +1,40 @@
 (() => {
+  // Options are set by the background script right before injection
+  const options = window.__snapHeroOptions || {};
+  delete window.__snapHeroOptions;
+
   // Prevent double injection
   if (document.getElementById('snap-hero-area-select-overlay')) return;
 
+  // Element picker padding, adjusted with [ and ]
+  const PADDING_STEP = 4;
+  const MAX_PADDING = 64;
+  const MIN_SELECTION_SIZE = 10;
+
+  // Selection adjustment: arrow keys nudge by 1px, or 10px with Shift
+  const NUDGE_STEP = 1;
+  const NUDGE_STEP_LARGE = 10;
+  const HANDLE_CURSORS = {
+    nw: 'nwse-resize', n: 'ns-resize', ne: 'nesw-resize', e: 'ew-resize',
+    se: 'nwse-resize', s: 'ns-resize', sw: 'nesw-resize', w: 'ew-resize'
+  };
+
+  // Dragging within AUTO_SCROLL_EDGE px of the viewport edge scrolls the page
+  const AUTO_SCROLL_EDGE = 40;
+  const AUTO_SCROLL_MAX_SPEED = 30;
+
+  // Loupe: LOUPE_PIXELS device pixels around the cursor, drawn LOUPE_SIZE px wide
+  const LOUPE_SIZE = 120;
+  const LOUPE_PIXELS = 15;
+  const LOUPE_OFFSET = 20;
+  const SNAPSHOT_REFRESH_DELAY = 300;
+
+  // Edges within SNAP_DISTANCE px of an element border stick to it
+  const SNAP_DISTANCE = 8;
+  const SNAP_SAMPLE_OFFSETS = [[0, 0], [-SNAP_DISTANCE, 0], [SNAP_DISTANCE, 0], [0, -SNAP_DISTANCE], [0, SNAP_DISTANCE]];
+
+  const FONT_FAMILY = '-apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif';
+
   const overlay = document.createElement('div');
   overlay.id = 'snap-hero-area-select-overlay';
   Object.assign(overlay.style, {
@@ -11,7 +44,7 @@
     width: '100vw',
     height: '100vh',
     zIndex: '2147483647',
-    cursor: 'crosshair',
+    cursor: options.picker ? 'default' : 'crosshair',
     margin: '0',
     padding: '0',
     opacity: '0',
@@ -76,7 +109,38 @@
     lineHeight: '1.5',
     transition: 'opacity 0.15s ease'
   });
-  instructions.textContent = 'Click and drag to select area \u00B7 Press Esc to cancel';
+
+  // Resize handles on the selection edges, shown once a selection is drawn
+  const handles = Object.keys(HANDLE_CURSORS).map(createHandle);
+  handles.forEach(handle => selectionBorder.appendChild(handle));
+
+  // Exact size inputs and confirm/cancel buttons next to the selection
+  const adjustBar = createAdjustBar();
+  const widthInput = adjustBar.querySelector('[data-dimension="width"]');
+  const heightInput = adjustBar.querySelector('[data-dimension="height"]');
+
+  // Crosshair guides through the cursor
+  const guideHorizontal = createGuide({ left: '0', width: '100%', height: '1px' });
+  const guideVertical = createGuide({ top: '0', height: '100%', width: '1px' });
+
+  // Loupe: magnified pixels under the cursor, with coordinates and colour
+  const loupe = createLoupe();
+  const loupeCanvas = loupe.querySelector('canvas');
+  const loupeCtx = loupeCanvas.getContext('2d');
+  const loupeInfo = loupe.querySelector('.snap-hero-loupe-info');
+
+  // Magnifier and snapping can be toggled with M and S
+  let loupeEnabled = options.showLoupe !== false;
+  let snapEnabled = !!options.snapToElements;
+  let altHeld = false;
+
+  // Screenshot of the page without the overlay, read by the loupe
+  let snapshot = null;
+  let snapshotTimer = null;
+
+  // Drag a rectangle, or pick an element under the mouse (E toggles)
+  let mode = options.picker ? 'pick' : 'drag';
+  updateInstructions();
 
   // Initially show full dim
   setDimFull();
@@ -88,20 +152,42 @@
   overlay.appendChild(selectionBorder);
   overlay.appendChild(sizeIndicator);
   overlay.appendChild(instructions);
+  overlay.appendChild(adjustBar);
+  overlay.appendChild(guideHorizontal);
+  overlay.appendChild(guideVertical);
+  overlay.appendChild(loupe);
   document.documentElement.appendChild(overlay);
 
-  // Fade in overlay after appending to DOM
-  requestAnimationFrame(() => { overlay.style.opacity = '1'; });
+  // Take the loupe's snapshot while the overlay is still transparent, then fade it in
+  (loupeEnabled ? takeSnapshot() : Promise.resolve()).finally(() => {
+    requestAnimationFrame(() => { overlay.style.opacity = '1'; });
+  });
 
-  let startX = 0;
-  let startY = 0;
-  let isDragging = false;
+  // Drag selection state: the current box (document CSS pixels, so it can
+  // extend past the viewport) and the mouse interaction in progress
+  // ('draw', 'move' or 'resize')
+  let selection = null;
+  let interaction = null;
+  let shiftHeld = false;
   let rafId = null;
+  let autoScrollId = null;
+
+  // Element picker state: the outlined element, the children we walked up
+  // from (so the way back down is the same), and the padding around it
+  let pickedElement = null;
+  let childStack = [];
+  let navigated = false;
+  let padding = 0;
+  let pointerX = 0;
+  let pointerY = 0;
 
   overlay.addEventListener('mousedown', onMouseDown);
   overlay.addEventListener('mousemove', onMouseMove);
   overlay.addEventListener('mouseup', onMouseUp);
+  overlay.addEventListener('wheel', onWheel, { passive: false });
+  overlay.addEventListener('dblclick', onDoubleClick);
   document.addEventListener('keydown', onKeyDown);
+  window.addEventListener('scroll', onScroll, { passive: true });
 
   function createDim() {
     const dim = document.createElement('div');
@@ -115,6 +201,148 @@
     return dim;
   }
 
+  function createHandle(position) {
+    const handle = document.createElement('div');
+    handle.dataset.handle = position;
+    Object.assign(handle.style, {
+      position: 'absolute',
+      width: '10px',
+      height: '10px',
+      left: position.includes('w') ? '0' : position.includes('e') ? '100%' : '50%',
+      top: position.includes('n') ? '0' : position.includes('s') ? '100%' : '50%',
+      transform: 'translate(-50%, -50%)',
+      background: '#fff',
+      border: '2px solid #4facfe',
+      borderRadius: '2px',
+      boxSizing: 'border-box',
+      cursor: HANDLE_CURSORS[position],
+      pointerEvents: 'auto',
+      display: 'none'
+    });
+    return handle;
+  }
+
+  function createGuide(style) {
+    const guide = document.createElement('div');
+    Object.assign(guide.style, {
+      position: 'absolute',
+      background: 'rgba(79, 172, 254, 0.8)',
+      pointerEvents: 'none',
+      zIndex: '2',
+      display: 'none'
+    }, style);
+    return guide;
+  }
+
+  function createLoupe() {
+    const container = document.createElement('div');
+    Object.assign(container.style, {
+      position: 'absolute',
+      width: LOUPE_SIZE + 'px',
+      background: 'rgba(0, 0, 0, 0.85)',
+      border: '2px solid #fff',
+      borderRadius: '6px',
+      boxShadow: '0 4px 16px rgba(0, 0, 0, 0.4)',
+      overflow: 'hidden',
+      pointerEvents: 'none',
+      zIndex: '5',
+      display: 'none'
+    });
+
+    const canvas = document.createElement('canvas');
+    canvas.width = LOUPE_SIZE;
+    canvas.height = LOUPE_SIZE;
+    Object.assign(canvas.style, {
+      display: 'block',
+      width: LOUPE_SIZE + 'px',
+      height: LOUPE_SIZE + 'px',
+      imageRendering: 'pixelated'
+    });
+
+    const info = document.createElement('div');
+    info.className = 'snap-hero-loupe-info';
+    Object.assign(info.style, {
+      color: '#fff',
+      fontSize: '11px',
+      fontFamily: FONT_FAMILY,
+      lineHeight: '1.4',
+      padding: '4px 6px',
+      whiteSpace: 'nowrap'
+    });
+
+    container.appendChild(canvas);
+    container.appendChild(info);
+    return container;
+  }
+
+  function createAdjustBar() {
+    const bar = document.createElement('div');
+    Object.assign(bar.style, {
+      position: 'absolute',
+      display: 'none',
+      alignItems: 'center',
+      gap: '6px',
+      background: 'rgba(0, 0, 0, 0.85)',
+      color: '#fff',
+      fontSize: '12px',
+      fontFamily: FONT_FAMILY,
+      padding: '5px 6px 5px 10px',
+      borderRadius: '6px',
+      zIndex: '4',
+      whiteSpace: 'nowrap'
+    });
+
+    const inputStyle = {
+      width: '58px',
+      padding: '2px 4px',
+      margin: '0',
+      border: '1px solid rgba(255, 255, 255, 0.3)',
+      borderRadius: '3px',
+      background: 'rgba(255, 255, 255, 0.1)',
+      color: '#fff',
+      font: '12px ' + FONT_FAMILY
+    };
+    const buttonStyle = {
+      padding: '3px 10px',
+      margin: '0',
+      border: 'none',
+      borderRadius: '4px',
+      color: '#fff',
+      font: '600 12px ' + FONT_FAMILY,
+      cursor: 'pointer'
+    };
+
+    ['width', 'height'].forEach(dimension => {
+      const label = document.createElement('label');
+      label.textContent = dimension === 'width' ? 'W ' : 'H ';
+      const input = document.createElement('input');
+      input.type = 'number';
+      input.min = String(MIN_SELECTION_SIZE);
+      input.dataset.dimension = dimension;
+      Object.assign(input.style, inputStyle);
+      input.addEventListener('change', onDimensionInput);
+      label.appendChild(input);
+      bar.appendChild(label);
+    });
+
+    const confirmBtn = document.createElement('button');
+    confirmBtn.textContent = 'Capture';
+    Object.assign(confirmBtn.style, buttonStyle, { background: '#4facfe' });
+    confirmBtn.addEventListener('click', confirmSelection);
+
+    const cancelBtn = document.createElement('button');
+    cancelBtn.textContent = 'Cancel';
+    Object.assign(cancelBtn.style, buttonStyle, { background: 'rgba(255, 255, 255, 0.15)' });
+    cancelBtn.addEventListener('click', cancel);
+
+    bar.appendChild(confirmBtn);
+    bar.appendChild(cancelBtn);
+
+    // Clicks in the bar must not start a new selection
+    bar.addEventListener('mousedown', e => e.stopPropagation());
+    return bar;
+  }
+
   function setDimFull() {
     // Cover entire viewport
     Object.assign(dimTop.style, { top: '0', left: '0', width: '100%', height: '100%' });
@@ -127,6 +355,14 @@
     const vw = window.innerWidth;
     const vh = window.innerHeight;
 
+    // Only the visible part of the selection matters here
+    const right = Math.min(Math.max(x + w, 0), vw);
+    const bottom = Math.min(Math.max(y + h, 0), vh);
+    x = Math.min(Math.max(x, 0), vw);
+    y = Math.min(Math.max(y, 0), vh);
+    w = right - x;
+    h = bottom - y;
+
     // Top: full width, from top to selection top
     Object.assign(dimTop.style, {
       top: '0', left: '0',
@@ -149,12 +385,248 @@
     });
   }
 
-  function onMouseDown(e) {
-    e.preventDefault();
-    isDragging = true;
-    startX = e.clientX;
-    startY = e.clientY;
+  function updateInstructions() {
+    instructions.textContent = mode === 'pick'
+      ? 'Click an element to capture \u00B7 \u2191/\u2193 or wheel: parent/child \u00B7 [ ]: padding \u00B7 E: drag mode \u00B7 Esc to cancel'
+      : 'Click and drag to select area \u00B7 Shift: square \u00B7 E: pick an element \u00B7 ' +
+        'M: loupe ' + (loupeEnabled ? 'on' : 'off') + ' \u00B7 S: snap ' + (snapEnabled ? 'on' : 'off') +
+        ' \u00B7 Press Esc to cancel';
+  }
+
+  // --- Loupe, guides and snapping ---
+
+  function nextFrame() {
+    return new Promise(resolve => requestAnimationFrame(resolve));
+  }
+
+  /**
+   * Screenshot the viewport with the overlay hidden so the loupe can show
+   * and measure the real page pixels
+   */
+  async function takeSnapshot() {
+    overlay.style.visibility = 'hidden';
+    await nextFrame();
+    await nextFrame();
+
+    let response;
+    try {
+      response = await chrome.runtime.sendMessage({ action: 'captureSegment' });
+    } catch {
+      response = null;
+    } finally {
+      overlay.style.visibility = '';
+    }
+    if (!response?.dataUrl) return;
+
+    const img = new Image();
+    img.src = response.dataUrl;
+    try {
+      await img.decode();
+    } catch {
+      return;
+    }
+
+    const canvas = document.createElement('canvas');
+    canvas.width = img.width;
+    canvas.height = img.height;
+    const ctx = canvas.getContext('2d', { willReadFrequently: true });
+    ctx.drawImage(img, 0, 0);
+
+    snapshot = {
+      canvas,
+      ctx,
+      scale: img.width / window.innerWidth,
+      scrollX: window.scrollX,
+      scrollY: window.scrollY
+    };
+    updateLoupe();
+  }
+
+  /**
+   * Retake the snapshot once scrolling has settled (not mid-drag, as hiding
+   * the overlay would flicker)
+   */
+  function scheduleSnapshot() {
+    if (!loupeEnabled) return;
+    clearTimeout(snapshotTimer);
+    snapshotTimer = setTimeout(() => {
+      snapshotTimer = null;
+      if (interaction || !overlay.isConnected) {
+        scheduleSnapshot();
+        return;
+      }
+      if (snapshot && snapshot.scrollX === window.scrollX && snapshot.scrollY === window.scrollY) return;
+      takeSnapshot();
+    }, SNAPSHOT_REFRESH_DELAY);
+  }
+
+  function updateGuides(snapped = {}) {
+    const visible = mode === 'drag';
+    guideHorizontal.style.display = visible ? 'block' : 'none';
+    guideVertical.style.display = visible ? 'block' : 'none';
+    if (!visible) return;
 
+    guideHorizontal.style.top = Math.round(snapped.y ?? pointerY) + 'px';
+    guideVertical.style.left = Math.round(snapped.x ?? pointerX) + 'px';
+    guideHorizontal.style.background = snapped.snappedY ? 'rgba(255, 107, 107, 0.9)' : 'rgba(79, 172, 254, 0.8)';
+    guideVertical.style.background = snapped.snappedX ? 'rgba(255, 107, 107, 0.9)' : 'rgba(79, 172, 254, 0.8)';
+  }
+
+  function updateLoupe() {
+    if (!loupeEnabled || mode !== 'drag') {
+      loupe.style.display = 'none';
+      return;
+    }
+    loupe.style.display = 'block';
+
+    // Keep the loupe next to the cursor, flipping sides near the edges
+    const height = loupe.offsetHeight;
+    let left = pointerX + LOUPE_OFFSET;
+    let top = pointerY + LOUPE_OFFSET;
+    if (left + LOUPE_SIZE > window.innerWidth) left = pointerX - LOUPE_OFFSET - LOUPE_SIZE;
+    if (top + height > window.innerHeight) top = pointerY - LOUPE_OFFSET - height;
+    loupe.style.left = Math.max(left, 0) + 'px';
+    loupe.style.top = Math.max(top, 0) + 'px';
+
+    const pageX = Math.round(pointerX + window.scrollX);
+    const pageY = Math.round(pointerY + window.scrollY);
+    loupeCtx.fillStyle = '#222';
+    loupeCtx.fillRect(0, 0, LOUPE_SIZE, LOUPE_SIZE);
+
+    let colour = '';
+    if (snapshot) {
+      // Device pixel under the cursor in the snapshot
+      const cx = Math.floor((pointerX + window.scrollX - snapshot.scrollX) * snapshot.scale);
+      const cy = Math.floor((pointerY + window.scrollY - snapshot.scrollY) * snapshot.scale);
+      const half = Math.floor(LOUPE_PIXELS / 2);
+
+      loupeCtx.imageSmoothingEnabled = false;
+      loupeCtx.drawImage(
+        snapshot.canvas,
+        cx - half, cy - half, LOUPE_PIXELS, LOUPE_PIXELS,
+        0, 0, LOUPE_SIZE, LOUPE_SIZE
+      );
+
+      if (cx >= 0 && cy >= 0 && cx < snapshot.canvas.width && cy < snapshot.canvas.height) {
+        const [r, g, b] = snapshot.ctx.getImageData(cx, cy, 1, 1).data;
+        colour = '#' + [r, g, b].map(v => v.toString(16).padStart(2, '0')).join('');
+      }
+    }
+
+    // Outline the centre pixel
+    const cell = LOUPE_SIZE / LOUPE_PIXELS;
+    const centre = Math.floor(LOUPE_PIXELS / 2) * cell;
+    loupeCtx.strokeStyle = '#fff';
+    loupeCtx.lineWidth = 1;
+    loupeCtx.strokeRect(centre + 0.5, centre + 0.5, cell - 1, cell - 1);
+
+    loupeInfo.textContent = pageX + ', ' + pageY + (colour ? '  ' + colour.toUpperCase() : '');
+  }
+
+  /**
+   * Move a viewport point onto the nearest element border within
+   * SNAP_DISTANCE, per axis. Alt disables snapping while held.
+   */
+  function snapPoint(clientX, clientY) {
+    const result = { x: clientX, y: clientY, snappedX: false, snappedY: false };
+    if (!snapEnabled || altHeld) return result;
+
+    let bestX = SNAP_DISTANCE + 1;
+    let bestY = SNAP_DISTANCE + 1;
+    const seen = new Set();
+
+    SNAP_SAMPLE_OFFSETS.forEach(([dx, dy]) => {
+      document.elementsFromPoint(clientX + dx, clientY + dy).forEach(el => {
+        if (seen.has(el) || overlay.contains(el) || el === document.documentElement || el === document.body) return;
+        seen.add(el);
+
+        const rect = el.getBoundingClientRect();
+        [rect.left, rect.right].forEach(edge => {
+          const distance = Math.abs(edge - clientX);
+          if (distance < bestX) {
+            bestX = distance;
+            result.x = edge;
+            result.snappedX = true;
+          }
+        });
+        [rect.top, rect.bottom].forEach(edge => {
+          const distance = Math.abs(edge - clientY);
+          if (distance < bestY) {
+            bestY = distance;
+            result.y = edge;
+            result.snappedY = true;
+          }
+        });
+      });
+    });
+
+    return result;
+  }
+
+  /**
+   * Draw the selection box, the dim around it and the label under it
+   */
+  function renderSelection(x, y, w, h, label) {
+    // Update selection border
+    Object.assign(selectionBorder.style, {
+      left: x + 'px', top: y + 'px',
+      width: w + 'px', height: h + 'px'
+    });
+
+    // Update dim regions
+    updateDims(x, y, w, h);
+
+    // Update size indicator
+    sizeIndicator.textContent = label;
+
+    // Position size indicator (and the adjust bar under it) below the
+    // selection, or above if near bottom, or inside if neither fits
+    const barVisible = adjustBar.style.display !== 'none';
+    const labelsHeight = barVisible ? 64 : 28;
+    const visibleBottom = Math.min(y + h, window.innerHeight);
+    let indicatorTop;
+    if (y + h + 8 + labelsHeight <= window.innerHeight) {
+      indicatorTop = y + h + 8;
+    } else if (y - labelsHeight >= 4) {
+      indicatorTop = y - labelsHeight;
+    } else {
+      indicatorTop = Math.max(visibleBottom - labelsHeight - 4, 4);
+    }
+    Object.assign(sizeIndicator.style, {
+      left: Math.max(x, 4) + 'px',
+      top: indicatorTop + 'px'
+    });
+
+    if (barVisible) {
+      const barWidth = adjustBar.offsetWidth;
+      const barLeft = Math.min(Math.max(x + w - barWidth, 4), window.innerWidth - barWidth - 4);
+      Object.assign(adjustBar.style, {
+        left: barLeft + 'px',
+        top: (indicatorTop + 30) + 'px'
+      });
+    }
+  }
+
+  function renderDragSelection() {
+    const { x, y, width, height } = selection;
+    const label = Math.round(width) + ' \u00D7 ' + Math.round(height) +
+      '  at ' + Math.round(x) + ', ' + Math.round(y);
+    renderSelection(x - window.scrollX, y - window.scrollY, width, height, label);
+  }
+
+  /**
+   * Show handles and the adjust bar for the finished selection
+   */
+  function showAdjustControls(visible) {
+    handles.forEach(handle => { handle.style.display = visible ? 'block' : 'none'; });
+    adjustBar.style.display = visible ? 'flex' : 'none';
+    if (visible && selection) {
+      widthInput.value = Math.round(selection.width);
+      heightInput.value = Math.round(selection.height);
+    }
+  }
+
+  function showSelectionUI() {
     // Fade out instructions
     instructions.style.opacity = '0';
     instructions.style.pointerEvents = 'none';
@@ -168,59 +640,480 @@
     });
   }
 
+  function hideSelectionUI() {
+    showAdjustControls(false);
+    selectionBorder.style.display = 'none';
+    selectionBorder.style.opacity = '0';
+    sizeIndicator.style.display = 'none';
+    sizeIndicator.style.opacity = '0';
+    instructions.style.opacity = '1';
+    setDimFull();
+  }
+
+  function setMode(newMode) {
+    mode = newMode;
+    pickedElement = null;
+    childStack = [];
+    selection = null;
+    interaction = null;
+    overlay.style.cursor = mode === 'pick' ? 'default' : 'crosshair';
+    hideSelectionUI();
+    updateInstructions();
+    updateGuides();
+    updateLoupe();
+  }
+
+  // --- Element picker ---
+
+  /**
+   * Topmost page element at a point, looking through our own overlay
+   */
+  function elementAtPoint(x, y) {
+    return document.elementsFromPoint(x, y).find(el =>
+      !overlay.contains(el) && el !== document.documentElement
+    ) || null;
+  }
+
+  function getPickedBox() {
+    const rect = pickedElement.getBoundingClientRect();
+    return {
+      x: rect.left - padding,
+      y: rect.top - padding,
+      width: rect.width + padding * 2,
+      height: rect.height + padding * 2
+    };
+  }
+
+  function describeElement(el) {
+    let name = el.tagName.toLowerCase();
+    if (el.id) {
+      name += '#' + el.id;
+    } else if (typeof el.className === 'string' && el.className.trim()) {
+      name += '.' + el.className.trim().split(/\s+/)[0];
+    }
+    return name;
+  }
+
+  function renderPicked() {
+    if (!pickedElement) {
+      hideSelectionUI();
+      return;
+    }
+
+    const box = getPickedBox();
+    let label = describeElement(pickedElement) + '  ' + Math.round(box.width) + ' \u00D7 ' + Math.round(box.height);
+    if (padding > 0) label += '  +' + padding + 'px';
+
+    // Outline only the visible part, the capture still uses the whole box
+    const x = Math.max(box.x, 0);
+    const y = Math.max(box.y, 0);
+    const w = Math.min(box.x + box.width, window.innerWidth) - x;
+    const h = Math.min(box.y + box.height, window.innerHeight) - y;
+    renderSelection(x, y, Math.max(w, 0), Math.max(h, 0), label);
+  }
+
+  function pickAt(x, y) {
+    const element = elementAtPoint(x, y);
+    if (!element) return;
+
+    // Keep a parent/child choice while the mouse stays inside it
+    if (pickedElement && navigated && pickedElement.contains(element)) return;
+    if (element === pickedElement) return;
+
+    if (!pickedElement) showSelectionUI();
+    pickedElement = element;
+    childStack = [];
+    navigated = false;
+    renderPicked();
+  }
+
+  function pickParent() {
+    const parent = pickedElement?.parentElement;
+    if (!parent || parent === document.documentElement) return;
+    childStack.push(pickedElement);
+    pickedElement = parent;
+    navigated = true;
+    renderPicked();
+  }
+
+  function pickChild() {
+    if (!pickedElement) return;
+
+    let child = childStack.pop();
+    if (!child) {
+      // Prefer the child under the mouse, then any visible one
+      const children = Array.from(pickedElement.children).filter(c => {
+        const r = c.getBoundingClientRect();
+        return r.width > 0 && r.height > 0;
+      });
+      child = children.find(c => {
+        const r = c.getBoundingClientRect();
+        return pointerX >= r.left && pointerX <= r.right && pointerY >= r.top && pointerY <= r.bottom;
+      }) || children[0];
+    }
+
+    if (child) {
+      pickedElement = child;
+      navigated = true;
+      renderPicked();
+    }
+  }
+
+  function capturePicked() {
+    const rect = pickedElement.getBoundingClientRect();
+    const fits = rect.width + padding * 2 <= window.innerWidth && rect.height + padding * 2 <= window.innerHeight;
+
+    // Bring an element that fits fully into view before capturing it
+    if (fits && (rect.top - padding < 0 || rect.left - padding < 0 ||
+        rect.bottom + padding > window.innerHeight || rect.right + padding > window.innerWidth)) {
+      pickedElement.scrollIntoView({ block: 'center', inline: 'center', behavior: 'instant' });
+    }
+
+    const box = getPickedBox();
+    finishSelection({ ...box, x: box.x + window.scrollX, y: box.y + window.scrollY });
+  }
+
+  function onWheel(e) {
+    if (mode !== 'pick' || !pickedElement) return;
+    e.preventDefault();
+    if (e.deltaY < 0) {
+      pickParent();
+    } else if (e.deltaY > 0) {
+      pickChild();
+    }
+  }
+
+  // --- Drag selection ---
+
+  function onMouseDown(e) {
+    e.preventDefault();
+
+    if (mode === 'pick') {
+      if (pickedElement) capturePicked();
+      return;
+    }
+
+    const handle = e.target.dataset?.handle;
+    let type = 'draw';
+    if (selection && handle) {
+      type = 'resize';
+    } else if (selection && isInsideSelection(e.clientX, e.clientY)) {
+      type = 'move';
+    }
+
+    altHeld = e.altKey;
+    const start = type === 'draw' ? snapPoint(e.clientX, e.clientY) : { x: e.clientX, y: e.clientY };
+    interaction = {
+      type,
+      handle,
+      startX: start.x + window.scrollX,
+      startY: start.y + window.scrollY,
+      origin: selection ? { ...selection } : null
+    };
+
+    if (type === 'draw') {
+      selection = null;
+      showAdjustControls(false);
+      showSelectionUI();
+    }
+  }
+
   function onMouseMove(e) {
-    if (!isDragging) return;
+    pointerX = e.clientX;
+    pointerY = e.clientY;
+    shiftHeld = e.shiftKey;
+    altHeld = e.altKey;
+
+    if (mode === 'pick') {
+      if (rafId) return;
+      rafId = requestAnimationFrame(() => {
+        rafId = null;
+        pickAt(pointerX, pointerY);
+      });
+      return;
+    }
+
+    if (!interaction) {
+      if (!e.target.dataset?.handle) {
+        overlay.style.cursor = selection && isInsideSelection(pointerX, pointerY) ? 'move' : 'crosshair';
+      }
+      if (rafId) return;
+      rafId = requestAnimationFrame(() => {
+        rafId = null;
+        updateGuides(snapPoint(pointerX, pointerY));
+        updateLoupe();
+      });
+      return;
+    }
     e.preventDefault();
 
-    const mx = e.clientX;
-    const my = e.clientY;
+    updateAutoScroll();
 
     if (rafId) return; // already have a frame queued
     rafId = requestAnimationFrame(() => {
       rafId = null;
+      updateInteraction();
+    });
+  }
 
-      const x = Math.min(startX, mx);
-      const y = Math.min(startY, my);
-      const w = Math.abs(mx - startX);
-      const h = Math.abs(my - startY);
+  function onMouseUp(e) {
+    if (!interaction) return;
 
-      // Update selection border
-      Object.assign(selectionBorder.style, {
-        left: x + 'px', top: y + 'px',
-        width: w + 'px', height: h + 'px'
-      });
+    shiftHeld = e.shiftKey;
+    pointerX = e.clientX;
+    pointerY = e.clientY;
+    updateInteraction();
+    interaction = null;
+    stopAutoScroll();
+
+    // Minimum selection size check
+    if (selection.width < MIN_SELECTION_SIZE || selection.height < MIN_SELECTION_SIZE) {
+      selection = null;
+      hideSelectionUI();
+      return;
+    }
+
+    // Keep the selection on screen so it can be adjusted before capturing
+    showAdjustControls(true);
+    renderDragSelection();
+  }
 
-      // Update dim regions
-      updateDims(x, y, w, h);
+  function onDoubleClick(e) {
+    if (mode === 'drag' && selection && isInsideSelection(e.clientX, e.clientY)) {
+      confirmSelection();
+    }
+  }
+
+  /**
+   * Recompute the selection from the pointer, in document coordinates
+   */
+  function updateInteraction() {
+    if (!interaction) return;
+    const point = interaction.type === 'move'
+      ? { x: pointerX, y: pointerY }
+      : snapPoint(pointerX, pointerY);
+    selection = computeSelection(
+      interaction,
+      point.x + window.scrollX,
+      point.y + window.scrollY,
+      shiftHeld
+    );
+    renderDragSelection();
+    updateGuides(point);
+    updateLoupe();
+  }
+
+  function onScroll() {
+    scheduleSnapshot();
+    if (mode !== 'drag' || !selection) return;
+    if (interaction) {
+      updateInteraction();
+    } else {
+      renderDragSelection();
+    }
+  }
+
+  /**
+   * Speed (px per frame) for a pointer near a viewport edge, 0 elsewhere
+   */
+  function edgeSpeed(position, size) {
+    if (position < AUTO_SCROLL_EDGE) {
+      return -Math.ceil((AUTO_SCROLL_EDGE - position) / AUTO_SCROLL_EDGE * AUTO_SCROLL_MAX_SPEED);
+    }
+    if (position > size - AUTO_SCROLL_EDGE) {
+      return Math.ceil((position - size + AUTO_SCROLL_EDGE) / AUTO_SCROLL_EDGE * AUTO_SCROLL_MAX_SPEED);
+    }
+    return 0;
+  }
+
+  function updateAutoScroll() {
+    const scrolling = edgeSpeed(pointerX, window.innerWidth) !== 0 || edgeSpeed(pointerY, window.innerHeight) !== 0;
+    if (interaction && scrolling) {
+      if (!autoScrollId) autoScrollId = requestAnimationFrame(autoScrollStep);
+    } else {
+      stopAutoScroll();
+    }
+  }
 
-      // Update size indicator
-      sizeIndicator.textContent = Math.round(w) + ' \u00D7 ' + Math.round(h);
+  function autoScrollStep() {
+    autoScrollId = null;
+    if (!interaction) return;
 
-      // Position size indicator below selection, or above if near bottom
-      const indicatorTop = (y + h + 8 + 24 > window.innerHeight) ? y - 28 : y + h + 8;
-      Object.assign(sizeIndicator.style, {
-        left: x + 'px',
-        top: indicatorTop + 'px'
+    const dx = edgeSpeed(pointerX, window.innerWidth);
+    const dy = edgeSpeed(pointerY, window.innerHeight);
+    if (dx === 0 && dy === 0) return;
+
+    // The scroll event updates the selection
+    window.scrollBy({ left: dx, top: dy, behavior: 'instant' });
+    autoScrollId = requestAnimationFrame(autoScrollStep);
+  }
+
+  function stopAutoScroll() {
+    if (autoScrollId) {
+      cancelAnimationFrame(autoScrollId);
+      autoScrollId = null;
+    }
+  }
+
+  function isInsideSelection(clientX, clientY) {
+    const x = clientX + window.scrollX;
+    const y = clientY + window.scrollY;
+    return x >= selection.x && x <= selection.x + selection.width &&
+      y >= selection.y && y <= selection.y + selection.height;
+  }
+
+  function getDocumentSize() {
+    const root = document.documentElement;
+    const body = document.body;
+    return {
+      width: Math.max(root.scrollWidth, body ? body.scrollWidth : 0, window.innerWidth),
+      height: Math.max(root.scrollHeight, body ? body.scrollHeight : 0, window.innerHeight)
+    };
+  }
+
+  /**
+   * New selection box for a mouse interaction. With keepRatio (Shift),
+   * drawing makes a square and resizing keeps the original aspect ratio.
+   */
+  function computeSelection(action, mx, my, keepRatio) {
+    const dx = mx - action.startX;
+    const dy = my - action.startY;
+    const origin = action.origin;
+
+    if (action.type === 'draw') {
+      let width = Math.abs(dx);
+      let height = Math.abs(dy);
+      if (keepRatio) width = height = Math.max(width, height);
+      return clampSelection({
+        x: dx < 0 ? action.startX - width : action.startX,
+        y: dy < 0 ? action.startY - height : action.startY,
+        width,
+        height
       });
+    }
+
+    if (action.type === 'move') {
+      return clampSelection({ ...origin, x: origin.x + dx, y: origin.y + dy }, true);
+    }
+
+    // Resize: move the edges named by the handle
+    const handle = action.handle;
+    let left = origin.x;
+    let top = origin.y;
+    let right = origin.x + origin.width;
+    let bottom = origin.y + origin.height;
+    if (handle.includes('w')) left += dx;
+    if (handle.includes('e')) right += dx;
+    if (handle.includes('n')) top += dy;
+    if (handle.includes('s')) bottom += dy;
+
+    const box = {
+      x: Math.min(left, right),
+      y: Math.min(top, bottom),
+      width: Math.abs(right - left),
+      height: Math.abs(bottom - top)
+    };
+
+    if (keepRatio && origin.width > 0 && origin.height > 0) {
+      const ratio = origin.width / origin.height;
+      if (handle === 'n' || handle === 's') {
+        box.width = box.height * ratio;
+      } else {
+        box.height = box.width / ratio;
+        if (handle.includes('n')) box.y = origin.y + origin.height - box.height;
+      }
+      if (handle.includes('w')) box.x = origin.x + origin.width - box.width;
+    }
+
+    return clampSelection(box);
+  }
+
+  /**
+   * Keep a box inside the document. Moving keeps its size; anything else
+   * trims the parts that stick out.
+   */
+  function clampSelection(box, keepSize = false) {
+    const { width: vw, height: vh } = getDocumentSize();
+
+    if (keepSize) {
+      return {
+        ...box,
+        x: Math.min(Math.max(box.x, 0), vw - box.width),
+        y: Math.min(Math.max(box.y, 0), vh - box.height)
+      };
+    }
+
+    const x = Math.max(box.x, 0);
+    const y = Math.max(box.y, 0);
+    return {
+      x,
+      y,
+      width: Math.min(box.x + box.width, vw) - x,
+      height: Math.min(box.y + box.height, vh) - y
+    };
+  }
+
+  function onDimensionInput() {
+    if (!selection) return;
+    const width = Math.max(MIN_SELECTION_SIZE, Math.round(Number(widthInput.value)) || selection.width);
+    const height = Math.max(MIN_SELECTION_SIZE, Math.round(Number(heightInput.value)) || selection.height);
+
+    // Grow from the top-left corner, moving back if the box would leave the document
+    const documentSize = getDocumentSize();
+    selection = clampSelection({
+      x: Math.min(selection.x, Math.max(documentSize.width - width, 0)),
+      y: Math.min(selection.y, Math.max(documentSize.height - height, 0)),
+      width,
+      height
     });
+    widthInput.value = Math.round(selection.width);
+    heightInput.value = Math.round(selection.height);
+    renderDragSelection();
   }
 
-  function onMouseUp(e) {
-    if (!isDragging) return;
-    isDragging = false;
+  function nudgeSelection(dx, dy) {
+    selection = clampSelection({ ...selection, x: selection.x + dx, y: selection.y + dy }, true);
+    renderDragSelection();
+  }
 
-    const x = Math.min(startX, e.clientX);
-    const y = Math.min(startY, e.clientY);
-    const w = Math.abs(e.clientX - startX);
-    const h = Math.abs(e.clientY - startY);
+  function confirmSelection() {
+    if (!selection) return;
+    finishSelection({ ...selection });
+  }
 
-    // Minimum selection size check
-    if (w < 10 || h < 10) {
-      cleanup();
-      chrome.runtime.sendMessage({ action: 'areaSelectCancelled' });
-      return;
+  function cancel() {
+    cleanup();
+    chrome.runtime.sendMessage({ action: 'areaSelectCancelled' });
+  }
+
+  /**
+   * Remove the overlay and hand the selection to the background script.
+   * Takes a box in document CSS pixels and sends it in viewport pixels;
+   * boxes larger than the viewport also carry their page position so they
+   * can be scroll-stitched instead of cropped.
+   */
+  function finishSelection(pageBox) {
+    const vw = window.innerWidth;
+    const vh = window.innerHeight;
+    const fitsViewport = pageBox.width <= vw && pageBox.height <= vh;
+
+    // A box that fits but was scrolled partly out of view is brought back in
+    if (fitsViewport) {
+      const left = Math.min(Math.max(window.scrollX, pageBox.x + pageBox.width - vw), pageBox.x);
+      const top = Math.min(Math.max(window.scrollY, pageBox.y + pageBox.height - vh), pageBox.y);
+      if (left !== window.scrollX || top !== window.scrollY) {
+        window.scrollTo({ left, top, behavior: 'instant' });
+      }
     }
 
+    const box = {
+      x: pageBox.x - window.scrollX,
+      y: pageBox.y - window.scrollY,
+      width: pageBox.width,
+      height: pageBox.height
+    };
+    const pageRect = fitsViewport ? null : pageBox;
+
     // Remove overlay first so it's not in the screenshot
     cleanup();
 
@@ -229,7 +1122,8 @@
       requestAnimationFrame(() => {
         chrome.runtime.sendMessage({
           action: 'areaSelectComplete',
-          rect: { x, y, width: w, height: h },
+          rect: box,
+          pageRect,
           devicePixelRatio: window.devicePixelRatio || 1
         });
       });
@@ -240,16 +1134,91 @@
     if (e.key === 'Escape') {
       e.preventDefault();
       e.stopPropagation();
-      cleanup();
-      chrome.runtime.sendMessage({ action: 'areaSelectCancelled' });
+      cancel();
+      return;
+    }
+
+    // Typing in the size inputs; Enter applies the value and captures
+    if (adjustBar.contains(e.target)) {
+      if (e.key === 'Enter') {
+        e.preventDefault();
+        onDimensionInput();
+        confirmSelection();
+      }
+      e.stopPropagation();
+      return;
+    }
+
+    if ((e.key === 'e' || e.key === 'E') && !interaction) {
+      e.preventDefault();
+      e.stopPropagation();
+      setMode(mode === 'pick' ? 'drag' : 'pick');
+      if (mode === 'pick') pickAt(pointerX, pointerY);
+      return;
+    }
+
+    if (mode === 'drag' && (e.key === 'm' || e.key === 'M' || e.key === 's' || e.key === 'S')) {
+      e.preventDefault();
+      e.stopPropagation();
+      if (e.key === 'm' || e.key === 'M') {
+        loupeEnabled = !loupeEnabled;
+        if (loupeEnabled && !snapshot) takeSnapshot();
+        updateLoupe();
+      } else {
+        snapEnabled = !snapEnabled;
+        updateGuides(snapPoint(pointerX, pointerY));
+      }
+      updateInstructions();
+      return;
+    }
+
+    if (mode === 'drag') {
+      if (!selection || interaction) return;
+
+      const step = e.shiftKey ? NUDGE_STEP_LARGE : NUDGE_STEP;
+      const handled = {
+        ArrowUp: () => nudgeSelection(0, -step),
+        ArrowDown: () => nudgeSelection(0, step),
+        ArrowLeft: () => nudgeSelection(-step, 0),
+        ArrowRight: () => nudgeSelection(step, 0),
+        Enter: confirmSelection
+      }[e.key];
+
+      if (handled) {
+        e.preventDefault();
+        e.stopPropagation();
+        handled();
+      }
+      return;
+    }
+
+    if (!pickedElement) return;
+
+    const handled = {
+      ArrowUp: pickParent,
+      ArrowDown: pickChild,
+      '[': () => { padding = Math.max(0, padding - PADDING_STEP); renderPicked(); },
+      ']': () => { padding = Math.min(MAX_PADDING, padding + PADDING_STEP); renderPicked(); },
+      Enter: capturePicked
+    }[e.key];
+
+    if (handled) {
+      e.preventDefault();
+      e.stopPropagation();
+      handled();
     }
   }
 
   function cleanup() {
     if (rafId) { cancelAnimationFrame(rafId); rafId = null; }
+    stopAutoScroll();
+    clearTimeout(snapshotTimer);
+    window.removeEventListener('scroll', onScroll);
     overlay.removeEventListener('mousedown', onMouseDown);
     overlay.removeEventListener('mousemove', onMouseMove);
     overlay.removeEventListener('mouseup', onMouseUp);
+    overlay.removeEventListener('wheel', onWheel);
+    overlay.removeEventListener('dblclick', onDoubleClick);
     document.removeEventListener('keydown', onKeyDown);
     if (overlay.parentNode) {
       overlay.parentNode.removeChild(overlay);
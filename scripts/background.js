@@ -1,3 +1,8 @@
+import { createZip, uniqueNames } from './lib/zip-writer.js';
+import { addCapture, addTransfer, clearTransfers, getLatestScheduledCapture, getRetention, pruneHistory, takeTransfer } from './lib/capture-history.js';
+import { appendErrorLog } from './lib/error-log.js';
+import { getCleanupRulesText, parseCleanupRules } from './lib/cleanup-rules.js';
+
 // Error types for better error handling
 const CaptureError = {
   PROTECTED_PAGE: 'PROTECTED_PAGE',
@@ -20,6 +25,102 @@ const ErrorMessages = {
   [CaptureError.UNKNOWN]: 'An unexpected error occurred. Please try again.'
 };
 
+// Defaults for the options users can change in the popup
+const DEFAULT_CAPTURE_SETTINGS = {
+  reviewFixedElements: false,
+  alignSeams: false,
+  snapToElements: false,
+  captureText: false,
+  cleanupPage: false,
+  pickCleanupElements: false
+};
+
+// How full-page captures decide a segment is ready (see full-page.js).
+// Users can choose one per capture, or save one per site in
+// `readinessByOrigin`; everything else uses fixed delays.
+const READINESS_STRATEGIES = ['fixed', 'networkIdle', 'domQuiet', 'selector', 'fonts'];
+const DEFAULT_READINESS = { strategy: 'fixed' };
+const MAX_READINESS_DELAY = 10000;
+
+// Batch capture timing
+const TAB_LOAD_TIMEOUT = 15000;
+const TAB_SETTLE_DELAY = 500;
+const FULL_PAGE_TIMEOUT = 180000;
+
+// Responsive sets: how long to let the page re-layout after a resize
+const RESIZE_SETTLE_DELAY = 700;
+const DEFAULT_RESPONSIVE_WIDTHS = [375, 768, 1280, 1920];
+
+// History thumbnails: at most this wide, and no taller than wide
+const THUMBNAIL_WIDTH = 480;
+
+// Page text kept with a capture's page info, in characters
+const MAX_PAGE_TEXT_LENGTH = 20000;
+
+// Scheduled captures: alarm names are the prefix plus the schedule id
+const SCHEDULE_ALARM_PREFIX = 'schedule:';
+const MIN_SCHEDULE_INTERVAL = 1; // minutes
+const TIME_OF_DAY_PATTERN = /^([01]?\d|2[0-3]):([0-5]\d)$/;
+const MAX_SCHEDULE_FAILURES = 3; // failed runs in a row before a schedule is paused
+
+// Failures of captures nobody is waiting on are shown in one notification
+// (replaced by the next one); clicking it opens the diagnostics page
+const ERROR_NOTIFICATION_ID = 'capture-error';
+
+// Full-page captures whose result goes back to a caller (batch runs)
+// instead of straight into the editor, keyed by tab id
+const pendingFullPageCaptures = new Map();
+
+// Tabs cleaned up for a capture in progress (see cleanUpPage) are marked
+// in session storage under this prefix plus the tab id, so the hidden
+// elements still come back in restorePage() after the service worker was
+// suspended during a countdown or a long capture
+const CLEANED_TAB_PREFIX = 'cleanedTab:';
+
+// Full-page captures store their images through the relay frame with a
+// one-time token, kept in session storage under this prefix plus the token
+const RELAY_TOKEN_PREFIX = 'relayToken:';
+
+// Object URLs of downloads in progress (made by the offscreen document),
+// keyed by download id, revoked once each download has finished
+const pendingDownloadUrls = new Map();
+
+// Capture modes that take what the user sees, and so clean up the page
+// first when that's turned on (batch and responsive sets never do)
+const CLEANUP_MODES = ['visible', 'fullPage', 'scrollContainer', 'areaSelect', 'elementPicker', 'lastRegion', 'region'];
+
+/**
+ * Read the user's capture settings merged over the defaults
+ */
+async function getCaptureSettings() {
+  const { captureSettings } = await chrome.storage.local.get(['captureSettings']);
+  return { ...DEFAULT_CAPTURE_SETTINGS, ...captureSettings };
+}
+
+/**
+ * Readiness strategy for a full-page capture: the one chosen for this
+ * capture, else the one saved for the page's origin, else fixed delays
+ * @param {string} url - Page to capture
+ * @param {Object} [readiness] - { strategy, delay? (ms), selector? }
+ */
+async function getReadiness(url, readiness) {
+  if (!readiness) {
+    const { readinessByOrigin = {} } = await chrome.storage.local.get(['readinessByOrigin']);
+    readiness = readinessByOrigin[getOrigin(url)];
+  }
+
+  if (!readiness || !READINESS_STRATEGIES.includes(readiness.strategy)) {
+    return DEFAULT_READINESS;
+  }
+  if (readiness.strategy === 'selector') {
+    return readiness.selector ? { strategy: 'selector', selector: String(readiness.selector) } : DEFAULT_READINESS;
+  }
+  if (readiness.strategy === 'fixed' && Number.isFinite(readiness.delay)) {
+    return { strategy: 'fixed', delay: Math.min(Math.max(readiness.delay, 0), MAX_READINESS_DELAY) };
+  }
+  return { strategy: readiness.strategy };
+}
+
 /**
  * Check if a URL is a protected page that cannot be captured
  */
@@ -41,6 +142,17 @@ function isProtectedUrl(url) {
   return protectedPrefixes.some(prefix => url.startsWith(prefix));
 }
 
+/**
+ * Origin of a page URL, or null for URLs without one
+ */
+function getOrigin(url) {
+  try {
+    return new URL(url).origin;
+  } catch {
+    return null;
+  }
+}
+
 /**
  * Classify an error into a CaptureError type
  */
@@ -72,6 +184,11 @@ function classifyError(error, context = {}) {
     return CaptureError.SCRIPT_INJECTION_FAILED;
   }
 
+  // A capture that never finished (e.g. a page that stopped responding)
+  if (message.includes('timed out')) {
+    return CaptureError.CAPTURE_FAILED;
+  }
+
   // Check for storage errors
   if (message.includes('QUOTA') || message.includes('storage')) {
     return CaptureError.STORAGE_FAILED;
@@ -87,59 +204,536 @@ function createErrorResponse(errorType, originalError = null) {
   return {
     error: ErrorMessages[errorType] || ErrorMessages[CaptureError.UNKNOWN],
     errorType,
-    details: originalError?.message || null
+    details: originalError?.message || null,
+    stack: originalError?.stack || null
+  };
+}
+
+/**
+ * Central error channel: record a failure in the diagnostics log and, with
+ * `notify`, tell the user through a notification
+ * @param {Object} response - Error response ({ error, errorType, details, stack })
+ * @param {Object} [context] - { mode, tabId or url, source: 'capture'|'schedule'|'history'|'cleanup', notify }
+ */
+async function reportError(response, { mode = null, tabId = null, url = null, source = 'capture', notify = false } = {}) {
+  if (!url && tabId) {
+    url = (await chrome.tabs.get(tabId).catch(() => null))?.url || null;
+  }
+
+  await appendErrorLog({
+    errorType: response.errorType || CaptureError.UNKNOWN,
+    message: response.error,
+    details: response.details || null,
+    stack: response.stack || null,
+    mode,
+    url,
+    source
+  });
+
+  if (notify) {
+    showErrorNotification(response.error);
+  }
+}
+
+/**
+ * Wrap a sendResponse-style callback so error responses are also logged
+ * @param {Object} context - See reportError
+ */
+function withErrorLog(sendResponse, context) {
+  return (response) => {
+    if (response?.error) {
+      reportError(response, context);
+    }
+    sendResponse(response);
   };
 }
 
+async function showErrorNotification(message) {
+  try {
+    await chrome.notifications.create(ERROR_NOTIFICATION_ID, {
+      type: 'basic',
+      iconUrl: chrome.runtime.getURL('icons/icon128.png'),
+      title: 'Snap Hero: capture failed',
+      message,
+      contextMessage: 'Click for details'
+    });
+  } catch {
+    // Notifications are turned off for the browser
+  }
+}
+
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   // Unified capture action with mode
   if (message.action === 'capture') {
-    if (message.mode === 'visible') {
-      captureVisible(sendResponse);
-    } else if (message.mode === 'fullPage') {
-      captureFullPage(message.tabId, sendResponse);
-    } else if (message.mode === 'areaSelect') {
-      captureAreaSelect(message.tabId, sendResponse);
+    if (message.tabId) clearErrorBadge(message.tabId);
+
+    // The popup shows the error itself; it only needs logging
+    const respond = withErrorLog(sendResponse, { mode: message.mode, tabId: message.tabId });
+    if (message.delay > 0) {
+      startDelayedCapture(message, respond);
     } else {
-      sendResponse(createErrorResponse(CaptureError.UNKNOWN, { message: 'Unknown capture mode: ' + message.mode }));
+      runCapture(message, respond);
     }
     return true;
   }
 
+  // Countdown finished (called from countdown.js) - run the requested mode
+  if (message.action === 'countdownComplete') {
+    runCapture({ ...message.capture, tabId: sender.tab.id }, reportToBadge(sender.tab.id, message.capture.mode));
+    return false;
+  }
+
+  // Countdown cancelled with Esc
+  if (message.action === 'countdownCancelled') {
+    restorePage(sender.tab.id);
+    return false;
+  }
+
   // Segment capture (called from full-page.js)
   if (message.action === 'captureSegment') {
     captureSegment(sender.tab.windowId, sendResponse);
     return true;
   }
 
+  // Before each segment, let the page's frames finish loading (full-page.js)
+  if (message.action === 'settleFrames') {
+    settleFrames(sender.tab.id).then(() => sendResponse({ success: true }));
+    return true;
+  }
+
+  // Batch capture of several tabs (popup)
+  if (message.action === 'captureBatch') {
+    captureTabBatch(message, withErrorLog(sendResponse, { mode: 'batch' }));
+    return true;
+  }
+
+  // Scheduled captures (popup)
+  if (message.action === 'createSchedule') {
+    createSchedule(message, sendResponse);
+    return true;
+  }
+
+  if (message.action === 'stopSchedule') {
+    stopSchedule(message.scheduleId).then(() => sendResponse({ success: true }));
+    return true;
+  }
+
+  if (message.action === 'resumeSchedule') {
+    resumeSchedule(message.scheduleId).then(() => sendResponse({ success: true }));
+    return true;
+  }
+
+  if (message.action === 'openScheduledCapture') {
+    openScheduledCapture(message.scheduleId, sendResponse);
+    return true;
+  }
+
   // Full page capture complete - open in editor
   if (message.action === 'fullPageComplete') {
-    if (message.dataUrl) {
-      openEditor(message.dataUrl);
-    }
+    const pending = pendingFullPageCaptures.get(sender.tab.id);
+    const respond = reportToBadge(sender.tab.id, 'fullPage');
+    // Data URLs mean the relay frame never used its token
+    if (!message.blobIds) revokeRelayTokens(sender.tab.id);
+
+    getFullPageImages(message).then(async (images) => {
+      if (images.length === 0) {
+        const error = new Error('Full-page capture returned no image');
+        if (pending) {
+          pending.reject(error);
+        } else {
+          restorePage(sender.tab.id);
+          respond(createErrorResponse(CaptureError.CAPTURE_FAILED, error));
+        }
+        return;
+      }
+
+      if (pending) {
+        pending.resolve(images);
+        return;
+      }
+
+      const metadata = await getPageInfo(sender.tab, { rect: message.region, relativeTo: 'page' });
+      restorePage(sender.tab.id);
+      if (images.length > 1) {
+        // Page was split into several images
+        respond(await openEditorSet(images.map((image, i) => ({
+          image,
+          metadata,
+          label: `Part ${i + 1} of ${images.length}`
+        })), sender.tab));
+      } else {
+        respond(await openEditor(images[0], sender.tab, metadata));
+      }
+    }).catch(error => {
+      if (pending) {
+        pending.reject(error);
+        return;
+      }
+      restorePage(sender.tab.id);
+      respond(createErrorResponse(CaptureError.STORAGE_FAILED, error));
+    });
     return false;
   }
 
   // Full page capture error
   if (message.action === 'fullPageError') {
+    restorePage(sender.tab.id);
+    revokeRelayTokens(sender.tab.id);
+    const pending = pendingFullPageCaptures.get(sender.tab.id);
+    if (pending) {
+      pending.reject(new Error(message.error || 'Full page capture failed'));
+      return false;
+    }
+
+    reportToBadge(sender.tab.id, 'fullPage')({
+      error: message.error || 'Full page capture failed',
+      errorType: CaptureError.CAPTURE_FAILED,
+      details: message.details || null,
+      stack: message.stack || null
+    });
+    return false;
+  }
+
+  // Full page capture cancelled (e.g. container picker dismissed)
+  if (message.action === 'fullPageCancelled') {
+    restorePage(sender.tab.id);
+    revokeRelayTokens(sender.tab.id);
+    pendingFullPageCaptures.get(sender.tab.id)?.reject(new Error('Full page capture was cancelled'));
     return false;
   }
 
   // Area select complete - crop and open editor
   if (message.action === 'areaSelectComplete') {
-    cropAndOpenEditor(sender.tab.windowId, message.rect, message.devicePixelRatio);
+    // Remembered in CSS pixels, so it can be captured again at any zoom
+    // level. Selections larger than the viewport are relative to the page
+    // and scroll-stitched instead.
+    const selection = message.pageRect
+      ? { rect: message.pageRect, relativeTo: 'page', origin: getOrigin(sender.tab.url) }
+      : { rect: message.rect, relativeTo: 'viewport', origin: getOrigin(sender.tab.url) };
+    chrome.storage.local.set({ lastAreaSelection: selection }).catch(() => {});
+
+    if (message.pageRect) {
+      captureFullPage(sender.tab.id, reportToBadge(sender.tab.id, 'areaSelect'), { region: message.pageRect });
+      return false;
+    }
+
+    cropAndOpenEditor(sender.tab, message.rect, message.devicePixelRatio)
+      .then(reportToBadge(sender.tab.id, 'areaSelect'));
     return false;
   }
 
   // Area select cancelled
   if (message.action === 'areaSelectCancelled') {
+    restorePage(sender.tab.id);
     return false;
   }
 });
 
-async function captureVisible(sendResponse) {
+// Keyboard shortcuts (configurable at chrome://extensions/shortcuts)
+const COMMAND_MODES = {
+  'capture-visible': 'visible',
+  'capture-full-page': 'fullPage',
+  'capture-area': 'areaSelect',
+  'capture-element': 'elementPicker'
+};
+
+chrome.commands.onCommand.addListener(async (command, tab) => {
+  if (!tab) {
+    [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+  }
+  if (!tab) return;
+
+  const mode = command === 'repeat-last-area' ? 'lastRegion' : COMMAND_MODES[command];
+  if (!mode) return;
+
+  clearErrorBadge(tab.id);
+  runCapture({ mode, tabId: tab.id }, reportToBadge(tab.id, mode));
+});
+
+// Right-click menu entries
+const CONTEXT_TARGET_SCRIPT_ID = 'context-target';
+const CONTEXT_MENU_CONTEXTS = ['page', 'frame', 'selection', 'link', 'editable', 'image', 'video', 'audio'];
+const CONTEXT_MENU_ITEMS = [
+  { id: 'capture-visible', title: 'Capture visible area', contexts: CONTEXT_MENU_CONTEXTS },
+  { id: 'capture-full-page', title: 'Capture full page', contexts: CONTEXT_MENU_CONTEXTS },
+  { id: 'capture-image', title: 'Capture this image', contexts: ['image'] },
+  { id: 'capture-element', title: 'Capture this element', contexts: CONTEXT_MENU_CONTEXTS }
+];
+
+chrome.runtime.onInstalled.addListener(() => {
+  chrome.contextMenus.removeAll(() => {
+    CONTEXT_MENU_ITEMS.forEach(item => chrome.contextMenus.create(item));
+  });
+  rearmSchedules();
+  syncContextTargetScript();
+});
+
+// Alarms are not guaranteed to survive a browser restart or an update.
+// Image transfers left over from the last session will never be picked up.
+chrome.runtime.onStartup.addListener(() => {
+  rearmSchedules();
+  clearTransfers().catch(() => {});
+});
+
+// The right-clicked element is only recorded in every page once the user
+// has granted the optional access to all sites
+chrome.permissions.onAdded.addListener(syncContextTargetScript);
+chrome.permissions.onRemoved.addListener(syncContextTargetScript);
+
+/**
+ * Register context-target.js for all pages while the optional all-sites
+ * permission is granted, and unregister it otherwise. Without it, "Capture
+ * this element" falls back to the element picker (images and frames are
+ * still found from the menu click).
+ */
+async function syncContextTargetScript() {
+  try {
+    const granted = await chrome.permissions.contains({ origins: ['<all_urls>'] });
+    const registered = await chrome.scripting.getRegisteredContentScripts({ ids: [CONTEXT_TARGET_SCRIPT_ID] });
+
+    if (granted && registered.length === 0) {
+      await chrome.scripting.registerContentScripts([{
+        id: CONTEXT_TARGET_SCRIPT_ID,
+        matches: ['<all_urls>'],
+        js: ['scripts/context-target.js'],
+        runAt: 'document_start'
+      }]);
+    } else if (!granted && registered.length > 0) {
+      await chrome.scripting.unregisterContentScripts({ ids: [CONTEXT_TARGET_SCRIPT_ID] });
+    }
+  } catch (error) {
+    reportError(createErrorResponse(classifyError(error), error), { source: 'capture' });
+  }
+}
+
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name.startsWith(SCHEDULE_ALARM_PREFIX)) {
+    runScheduledCapture(alarm.name.slice(SCHEDULE_ALARM_PREFIX.length));
+  }
+});
+
+chrome.contextMenus.onClicked.addListener((info, tab) => {
+  if (!tab) return;
+
+  clearErrorBadge(tab.id);
+
+  if (info.menuItemId === 'capture-visible') {
+    runCapture({ mode: 'visible', tabId: tab.id }, reportToBadge(tab.id, 'visible'));
+  } else if (info.menuItemId === 'capture-full-page') {
+    runCapture({ mode: 'fullPage', tabId: tab.id }, reportToBadge(tab.id, 'fullPage'));
+  } else if (info.menuItemId === 'capture-image' || info.menuItemId === 'capture-element') {
+    captureContextElement(tab, info, reportToBadge(tab.id, 'contextElement'));
+  }
+});
+
+// A page that reloads or a tab that closes has nothing left to restore
+chrome.tabs.onUpdated.addListener((tabId, changeInfo) => {
+  if (changeInfo.status === 'loading') setTabCleaned(tabId, false);
+});
+
+chrome.tabs.onRemoved.addListener((tabId) => {
+  setTabCleaned(tabId, false);
+  revokeRelayTokens(tabId);
+});
+
+chrome.notifications.onClicked.addListener((notificationId) => {
+  if (notificationId === ERROR_NOTIFICATION_ID) {
+    chrome.notifications.clear(notificationId);
+    chrome.tabs.create({ url: chrome.runtime.getURL('diagnostics/diagnostics.html') });
+  }
+});
+
+/**
+ * Build a sendResponse-style callback for captures started without the
+ * popup (shortcuts, countdowns). Errors are logged and shown on the
+ * toolbar badge and in a notification.
+ * @param {string} [mode] - Capture mode, for the log
+ */
+function reportToBadge(tabId, mode = null) {
+  return withErrorLog((response) => {
+    if (response?.error) {
+      showErrorBadge(tabId, response.error);
+    }
+  }, { mode, tabId, notify: true });
+}
+
+async function showErrorBadge(tabId, message) {
+  try {
+    await chrome.action.setBadgeBackgroundColor({ color: '#e53e3e', tabId });
+    await chrome.action.setBadgeText({ text: '!', tabId });
+    await chrome.action.setTitle({ title: `Snap Hero: ${message}`, tabId });
+  } catch {
+    // Tab was closed in the meantime
+  }
+}
+
+async function clearErrorBadge(tabId) {
+  try {
+    await chrome.action.setBadgeText({ text: '', tabId });
+    await chrome.action.setTitle({ title: 'Snap Hero', tabId });
+  } catch {
+    // Tab was closed in the meantime
+  }
+}
+
+/**
+ * Dispatch a capture request to the handler for its mode, cleaning up the
+ * page first for the modes that capture what the user sees
+ */
+async function runCapture(message, sendResponse) {
+  if (CLEANUP_MODES.includes(message.mode)) {
+    if (!message.tabId) {
+      const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+      message = { ...message, tabId: tab?.id };
+    }
+
+    if (message.tabId && !(await cleanUpPage(message.tabId))) {
+      sendResponse({ cancelled: true });
+      return;
+    }
+
+    // Captures that finish restore the page themselves; failed ones here
+    const respond = sendResponse;
+    sendResponse = (response) => {
+      if (response?.error) restorePage(message.tabId);
+      respond(response);
+    };
+  }
+
+  if (message.mode === 'visible') {
+    captureVisible(sendResponse, message.tabId);
+  } else if (message.mode === 'fullPage') {
+    captureFullPage(message.tabId, sendResponse, { readiness: message.readiness });
+  } else if (message.mode === 'scrollContainer') {
+    captureFullPage(message.tabId, sendResponse, {
+      target: 'container',
+      pickContainer: message.pick !== false,
+      readiness: message.readiness
+    });
+  } else if (message.mode === 'areaSelect') {
+    captureAreaSelect(message.tabId, sendResponse);
+  } else if (message.mode === 'elementPicker') {
+    captureAreaSelect(message.tabId, sendResponse, { picker: true });
+  } else if (message.mode === 'lastRegion') {
+    repeatLastArea(message.tabId, sendResponse);
+  } else if (message.mode === 'region') {
+    captureRegion(message.tabId, message.rect, sendResponse, message.relativeTo);
+  } else if (message.mode === 'responsive') {
+    captureResponsiveSet(message.tabId, message.widths, sendResponse);
+  } else {
+    sendResponse(createErrorResponse(CaptureError.UNKNOWN, { message: 'Unknown capture mode: ' + message.mode }));
+  }
+}
+
+/**
+ * Show a countdown in the page, then run the capture.
+ * The countdown script sends the request back when it reaches zero, so
+ * nothing has to be kept here while the service worker may be idle.
+ */
+async function startDelayedCapture(message, sendResponse) {
+  try {
+    const tab = await chrome.tabs.get(message.tabId);
+
+    if (isProtectedUrl(tab.url)) {
+      sendResponse(createErrorResponse(CaptureError.PROTECTED_PAGE));
+      return;
+    }
+
+    // Clean up (and let the user pick elements) before the countdown, so
+    // hover menus opened during it stay open for the capture
+    if (CLEANUP_MODES.includes(message.mode) && !(await cleanUpPage(tab.id))) {
+      sendResponse({ cancelled: true });
+      return;
+    }
+
+    const { delay, action, ...capture } = message;
+    await injectWithOptions(tab.id, 'scripts/countdown.js', {
+      seconds: delay,
+      capture
+    });
+
+    sendResponse({ success: true });
+  } catch (error) {
+    restorePage(message.tabId);
+    const errorType = classifyError(error, { action: 'inject', isProtectedUrl: true });
+    sendResponse(createErrorResponse(errorType, error));
+  }
+}
+
+/**
+ * Hide page clutter before a capture, if the user turned cleanup on: the
+ * elements matched by the cleanup rules and, with picking on, the ones the
+ * user clicks away. A tab that is already cleaned up (a capture after its
+ * countdown) is left as it is. Best effort: if the page can't be cleaned up,
+ * it is captured as it is and the failure is logged.
+ * @returns {Promise<boolean>} false if the user cancelled while picking
+ */
+async function cleanUpPage(tabId) {
+  if (await isTabCleaned(tabId)) return true;
+
+  const settings = await getCaptureSettings();
+  if (!settings.cleanupPage) return true;
+
+  try {
+    const tab = await chrome.tabs.get(tabId);
+    if (isProtectedUrl(tab.url)) return true;
+
+    await setTabCleaned(tabId, true);
+    const [{ result } = {}] = await injectWithOptions(tabId, 'scripts/page-cleanup.js', {
+      rules: parseCleanupRules(await getCleanupRulesText()),
+      pick: settings.pickCleanupElements
+    });
+
+    // The page script has put everything back already
+    if (result?.cancelled) {
+      await setTabCleaned(tabId, false);
+      return false;
+    }
+  } catch (error) {
+    await setTabCleaned(tabId, false);
+    reportError(createErrorResponse(classifyError(error, { action: 'inject' }), error), { tabId, source: 'cleanup' });
+  }
+  return true;
+}
+
+/**
+ * Put back what cleanUpPage() hid; does nothing for tabs it didn't clean up
+ */
+async function restorePage(tabId) {
+  if (!(await isTabCleaned(tabId))) return;
+  await setTabCleaned(tabId, false);
+
   try {
-    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    await injectWithOptions(tabId, 'scripts/page-cleanup.js', { restore: true });
+  } catch {
+    // Tab was closed or navigated away in the meantime
+  }
+}
+
+async function isTabCleaned(tabId) {
+  const key = CLEANED_TAB_PREFIX + tabId;
+  const result = await chrome.storage.session.get([key]);
+  return !!result[key];
+}
+
+async function setTabCleaned(tabId, cleaned) {
+  const key = CLEANED_TAB_PREFIX + tabId;
+  if (cleaned) {
+    await chrome.storage.session.set({ [key]: true });
+  } else {
+    await chrome.storage.session.remove(key);
+  }
+}
+
+/**
+ * Capture the visible part of a tab.
+ * @param {number} [tabId] - Defaults to the active tab of the current window
+ */
+async function captureVisible(sendResponse, tabId) {
+  try {
+    const [tab] = tabId
+      ? [await chrome.tabs.get(tabId)]
+      : await chrome.tabs.query({ active: true, currentWindow: true });
 
     if (!tab) {
       sendResponse(createErrorResponse(CaptureError.NO_TAB));
@@ -166,8 +760,11 @@ async function captureVisible(sendResponse) {
         return;
       }
 
+      const metadata = await getPageInfo(tab);
+      restorePage(tab.id);
+
       // Open in editor
-      const result = await openEditor(dataUrl);
+      const result = await openEditor(dataUrl, tab, metadata);
       if (result.success) {
         sendResponse({ success: true });
       } else {
@@ -180,7 +777,32 @@ async function captureVisible(sendResponse) {
   }
 }
 
-async function captureFullPage(tabId, sendResponse) {
+/**
+ * Inject a page script, handing it an options object first.
+ * The script reads and clears window.__snapHeroOptions on startup.
+ * Resolves with the injection results, which hold the script's value.
+ */
+async function injectWithOptions(tabId, file, options = {}) {
+  await chrome.scripting.executeScript({
+    target: { tabId: tabId },
+    func: (opts) => { window.__snapHeroOptions = opts; },
+    args: [options]
+  });
+
+  return chrome.scripting.executeScript({
+    target: { tabId: tabId },
+    files: [file]
+  });
+}
+
+/**
+ * Start a scroll-and-stitch capture.
+ * @param {Object} [options] - Passed to full-page.js. Use { target: 'container' }
+ *   to stitch an inner scrollable element instead of the window; pickContainer
+ *   lets the user click the panel instead of taking the largest one.
+ *   readiness overrides the site's readiness strategy for this capture.
+ */
+async function captureFullPage(tabId, sendResponse, options = {}) {
   try {
     // Get tab info to check URL
     const tab = await chrome.tabs.get(tabId);
@@ -190,18 +812,62 @@ async function captureFullPage(tabId, sendResponse) {
       return;
     }
 
-    await chrome.scripting.executeScript({
-      target: { tabId: tabId },
-      files: ['scripts/full-page.js']
+    const settings = await getCaptureSettings();
+    await injectWithOptions(tabId, 'scripts/full-page.js', {
+      reviewFixedElements: settings.reviewFixedElements,
+      alignSeams: settings.alignSeams,
+      ...options,
+      readiness: await getReadiness(tab.url, options.readiness),
+      relayToken: await issueRelayToken(tabId)
     });
 
     sendResponse({ success: true });
   } catch (error) {
+    revokeRelayTokens(tabId);
     const errorType = classifyError(error, { action: 'inject', isProtectedUrl: true });
     sendResponse(createErrorResponse(errorType, error));
   }
 }
 
+/**
+ * One-time token that lets a full-page capture store its images through
+ * the relay frame (relay/relay.js checks it and uses it up)
+ */
+async function issueRelayToken(tabId) {
+  const token = crypto.randomUUID();
+  await chrome.storage.session.set({ [RELAY_TOKEN_PREFIX + token]: tabId });
+  return token;
+}
+
+/**
+ * Drop the tokens a tab's capture didn't use up (cancelled, failed or
+ * closed before its images reached the relay frame)
+ */
+async function revokeRelayTokens(tabId) {
+  try {
+    const stored = await chrome.storage.session.get(null);
+    const keys = Object.keys(stored)
+      .filter(key => key.startsWith(RELAY_TOKEN_PREFIX) && stored[key] === tabId);
+    if (keys.length > 0) {
+      await chrome.storage.session.remove(keys);
+    }
+  } catch {
+    // Session storage is cleared with the browser session anyway
+  }
+}
+
+/**
+ * The images of a finished full-page capture: Blobs picked up from the
+ * transfer store, or data URLs if the page couldn't use the relay frame
+ * @returns {Promise<Array<Blob|string>>}
+ */
+async function getFullPageImages(message) {
+  if (message.blobIds) {
+    return Promise.all(message.blobIds.map(takeTransfer));
+  }
+  return message.dataUrls;
+}
+
 function captureSegment(windowId, sendResponse) {
   try {
     chrome.tabs.captureVisibleTab(windowId, { format: 'png' }, (dataUrl) => {
@@ -226,18 +892,41 @@ function captureSegment(windowId, sendResponse) {
   }
 }
 
-async function captureAreaSelect(tabId, sendResponse) {
+/**
+ * Run frame-settle.js in every frame of the tab and wait until all of them
+ * have loaded their images and stopped scrolling. Frames of other sites are
+ * only reached with the optional all-sites permission; without it they are
+ * skipped.
+ */
+async function settleFrames(tabId) {
   try {
-    const tab = await chrome.tabs.get(tabId);
-
-    if (isProtectedUrl(tab.url)) {
-      sendResponse(createErrorResponse(CaptureError.PROTECTED_PAGE));
-      return;
-    }
-
     await chrome.scripting.executeScript({
-      target: { tabId: tabId },
-      files: ['scripts/area-select.js']
+      target: { tabId: tabId, allFrames: true },
+      files: ['scripts/frame-settle.js']
+    });
+  } catch {
+    // Frames may be gone or not scriptable; capture them as they are
+  }
+}
+
+/**
+ * Show the area-select overlay.
+ * @param {Object} [options] - Passed to area-select.js; { picker: true }
+ *   starts in element picker mode instead of drag mode
+ */
+async function captureAreaSelect(tabId, sendResponse, options = {}) {
+  try {
+    const tab = await chrome.tabs.get(tabId);
+
+    if (isProtectedUrl(tab.url)) {
+      sendResponse(createErrorResponse(CaptureError.PROTECTED_PAGE));
+      return;
+    }
+
+    const settings = await getCaptureSettings();
+    await injectWithOptions(tabId, 'scripts/area-select.js', {
+      snapToElements: settings.snapToElements,
+      ...options
     });
 
     sendResponse({ success: true });
@@ -247,22 +936,253 @@ async function captureAreaSelect(tabId, sendResponse) {
   }
 }
 
-async function cropAndOpenEditor(windowId, rect, dpr) {
+/**
+ * Capture the right-clicked element (or image). Elements that fit in the
+ * viewport are cropped from one screenshot; larger ones are scroll-stitched.
+ */
+async function captureContextElement(tab, info, sendResponse) {
   try {
-    const dataUrl = await new Promise((resolve, reject) => {
-      chrome.tabs.captureVisibleTab(windowId, { format: 'png' }, (result) => {
-        if (chrome.runtime.lastError) {
-          reject(new Error(chrome.runtime.lastError.message));
-          return;
-        }
-        if (!result) {
-          reject(new Error('Screenshot capture returned empty'));
-          return;
-        }
-        resolve(result);
-      });
+    if (isProtectedUrl(tab.url)) {
+      sendResponse(createErrorResponse(CaptureError.PROTECTED_PAGE));
+      return;
+    }
+
+    const [{ result } = {}] = await chrome.scripting.executeScript({
+      target: { tabId: tab.id },
+      func: locateContextTarget,
+      args: [info.srcUrl || null, info.frameId ? info.frameUrl : null]
+    });
+
+    // Not recorded (no access to all sites) or gone: let the user pick it
+    if (!result) {
+      captureAreaSelect(tab.id, sendResponse, { picker: true });
+      return;
+    }
+
+    if (result.fitsViewport) {
+      sendResponse(await cropAndOpenEditor(tab, result.rect, result.devicePixelRatio));
+    } else {
+      captureFullPage(tab.id, sendResponse, { region: result.pageRect });
+    }
+  } catch (error) {
+    const errorType = classifyError(error, { action: 'inject' });
+    sendResponse(createErrorResponse(errorType, error));
+  }
+}
+
+/**
+ * Runs in the page (injected with executeScript): find the element that
+ * context-target.js recorded, bring it into view and measure it. Returns
+ * null if nothing was recorded (the script is only registered while the
+ * optional all-sites permission is granted).
+ * @param {string|null} srcUrl - Set for images; used if an overlay was clicked
+ * @param {string|null} frameUrl - Set when the click was inside a frame,
+ *   which is then captured as a whole
+ */
+async function locateContextTarget(srcUrl, frameUrl) {
+  let element = window.__snapHeroContextTarget;
+
+  if (frameUrl) {
+    element = Array.from(document.querySelectorAll('iframe, frame')).find(f => f.src === frameUrl);
+  } else if (srcUrl && !(element instanceof HTMLImageElement && element.currentSrc === srcUrl)) {
+    element = Array.from(document.images).find(img => img.currentSrc === srcUrl || img.src === srcUrl);
+  }
+
+  if (!element || !element.isConnected) return null;
+
+  let rect = element.getBoundingClientRect();
+  if (rect.width < 1 || rect.height < 1) return null;
+
+  const viewportWidth = document.documentElement.clientWidth;
+  const viewportHeight = document.documentElement.clientHeight;
+
+  if (rect.width > viewportWidth || rect.height > viewportHeight) {
+    return {
+      fitsViewport: false,
+      pageRect: {
+        x: rect.left + window.scrollX,
+        y: rect.top + window.scrollY,
+        width: rect.width,
+        height: rect.height
+      }
+    };
+  }
+
+  // Scroll just enough to show all of it, then wait for the repaint
+  if (rect.left < 0 || rect.top < 0 || rect.right > viewportWidth || rect.bottom > viewportHeight) {
+    element.scrollIntoView({ block: 'nearest', inline: 'nearest', behavior: 'instant' });
+    await new Promise(resolve => requestAnimationFrame(() => requestAnimationFrame(resolve)));
+    rect = element.getBoundingClientRect();
+  }
+
+  return {
+    fitsViewport: true,
+    rect: { x: rect.left, y: rect.top, width: rect.width, height: rect.height },
+    devicePixelRatio: window.devicePixelRatio || 1
+  };
+}
+
+/**
+ * Capture the same rectangle as the last area selection, without showing
+ * the overlay. Starts a normal selection if there is none yet.
+ */
+async function repeatLastArea(tabId, sendResponse) {
+  try {
+    const { lastAreaSelection } = await chrome.storage.local.get(['lastAreaSelection']);
+    if (!lastAreaSelection) {
+      captureAreaSelect(tabId, sendResponse);
+      return;
+    }
+
+    captureRegion(tabId, lastAreaSelection.rect, sendResponse, lastAreaSelection.relativeTo);
+  } catch (error) {
+    sendResponse(createErrorResponse(classifyError(error), error));
+  }
+}
+
+/**
+ * Capture a rectangle (CSS pixels) without showing the overlay. Used for
+ * the last region and for regions saved in the popup.
+ * @param {string} [relativeTo] - 'viewport', or 'page' for regions larger
+ *   than the viewport, which go through the full-page capture like the
+ *   selection they came from
+ */
+async function captureRegion(tabId, rect, sendResponse, relativeTo = 'viewport') {
+  if (relativeTo === 'page') {
+    captureFullPage(tabId, sendResponse, { region: rect });
+    return;
+  }
+
+  try {
+    const tab = await chrome.tabs.get(tabId);
+
+    if (isProtectedUrl(tab.url)) {
+      sendResponse(createErrorResponse(CaptureError.PROTECTED_PAGE));
+      return;
+    }
+
+    // Ask the page for its current ratio; zoom or a different display may
+    // have changed it since the region was selected
+    const [{ result: devicePixelRatio } = {}] = await chrome.scripting.executeScript({
+      target: { tabId: tabId },
+      func: () => window.devicePixelRatio || 1
     });
 
+    sendResponse(await cropAndOpenEditor(tab, rect, devicePixelRatio || 1));
+  } catch (error) {
+    const errorType = classifyError(error, { action: 'inject' });
+    sendResponse(createErrorResponse(errorType, error));
+  }
+}
+
+/**
+ * Promise wrapper around chrome.tabs.captureVisibleTab (PNG)
+ */
+function captureVisibleTabAsync(windowId) {
+  return new Promise((resolve, reject) => {
+    chrome.tabs.captureVisibleTab(windowId, { format: 'png' }, (result) => {
+      if (chrome.runtime.lastError) {
+        reject(new Error(chrome.runtime.lastError.message));
+        return;
+      }
+      if (!result) {
+        reject(new Error('Screenshot capture returned empty'));
+        return;
+      }
+      resolve(result);
+    });
+  });
+}
+
+/**
+ * Page info kept with a capture: address, title, viewport, pixel ratio,
+ * browser and time, plus the text shown in the captured area if the user
+ * turned that on. Falls back to what the tab object knows.
+ * @param {Object} tab
+ * @param {Object} [area] - { rect, relativeTo: 'viewport'|'page' }; without
+ *   a rect, the whole viewport or page
+ */
+async function getPageInfo(tab, { rect = null, relativeTo = 'viewport' } = {}) {
+  const info = { url: tab.url, title: tab.title, capturedAt: new Date().toISOString() };
+
+  try {
+    const { captureText } = await getCaptureSettings();
+    const [{ result } = {}] = await chrome.scripting.executeScript({
+      target: { tabId: tab.id },
+      func: collectPageInfo,
+      args: [rect, relativeTo, captureText ? MAX_PAGE_TEXT_LENGTH : 0]
+    });
+    return { ...info, ...result };
+  } catch {
+    return info;
+  }
+}
+
+/**
+ * Runs in the page (injected with executeScript): describe the page and,
+ * if maxTextLength is set, collect the visible text inside the rectangle
+ */
+function collectPageInfo(rect, relativeTo, maxTextLength) {
+  const viewport = {
+    width: document.documentElement.clientWidth,
+    height: document.documentElement.clientHeight
+  };
+  const info = {
+    url: location.href,
+    title: document.title,
+    viewport,
+    devicePixelRatio: window.devicePixelRatio || 1,
+    userAgent: navigator.userAgent
+  };
+  if (!maxTextLength) return info;
+
+  // Area in viewport coordinates; null reads the whole page
+  let area = rect;
+  if (!area && relativeTo === 'viewport') {
+    area = { x: 0, y: 0, width: viewport.width, height: viewport.height };
+  } else if (area && relativeTo === 'page') {
+    area = { ...area, x: area.x - window.scrollX, y: area.y - window.scrollY };
+  }
+
+  const lines = [];
+  let length = 0;
+  const range = document.createRange();
+  const walker = document.createTreeWalker(document.body || document.documentElement, NodeFilter.SHOW_TEXT);
+
+  for (let node = walker.nextNode(); node && length < maxTextLength; node = walker.nextNode()) {
+    const text = node.textContent.replace(/\s+/g, ' ').trim();
+    const parent = node.parentElement;
+    if (!text || !parent || parent.closest('script, style, noscript, template')) continue;
+    if (parent.checkVisibility && !parent.checkVisibility({ checkVisibilityCSS: true })) continue;
+
+    if (area) {
+      range.selectNodeContents(node);
+      const box = range.getBoundingClientRect();
+      if (box.right <= area.x || box.left >= area.x + area.width ||
+          box.bottom <= area.y || box.top >= area.y + area.height) {
+        continue;
+      }
+    }
+
+    lines.push(text);
+    length += text.length + 1;
+  }
+
+  info.text = lines.join('\n').slice(0, maxTextLength);
+  return info;
+}
+
+/**
+ * Capture the visible tab, crop it to a CSS-pixel rectangle and open the
+ * result in the editor
+ * @returns {Promise<Object>} { success: true } or an error response
+ */
+async function cropAndOpenEditor(tab, rect, dpr) {
+  try {
+    const dataUrl = await captureVisibleTabAsync(tab.windowId);
+    const metadata = await getPageInfo(tab, { rect, relativeTo: 'viewport' });
+    restorePage(tab.id);
+
     // Convert dataUrl to ImageBitmap via fetch + blob
     const response = await fetch(dataUrl);
     const blob = await response.blob();
@@ -285,28 +1205,112 @@ async function cropAndOpenEditor(windowId, rect, dpr) {
     const ctx = canvas.getContext('2d');
     ctx.drawImage(imageBitmap, clampedX, clampedY, clampedW, clampedH, 0, 0, clampedW, clampedH);
 
-    // Convert back to dataUrl
+    // Handed to the editor as a Blob, no data URL round trip
     const croppedBlob = await canvas.convertToBlob({ type: 'image/png' });
-    const arrayBuffer = await croppedBlob.arrayBuffer();
-    const bytes = new Uint8Array(arrayBuffer);
-    let binaryString = '';
-    const chunkSize = 8192;
-    for (let i = 0; i < bytes.length; i += chunkSize) {
-      binaryString += String.fromCharCode.apply(null, bytes.subarray(i, i + chunkSize));
-    }
-    const croppedDataUrl = 'data:image/png;base64,' + btoa(binaryString);
+    const result = await openEditor(croppedBlob, tab, metadata);
+    return result.success
+      ? result
+      : createErrorResponse(CaptureError.STORAGE_FAILED, { message: result.error });
+  } catch (error) {
+    restorePage(tab.id);
+    return createErrorResponse(classifyError(error), error);
+  }
+}
 
-    // Open in editor
-    await openEditor(croppedDataUrl);
-  } catch {
-    // Crop and open editor failed
+/**
+ * Add a capture to the history (IndexedDB), then apply the retention limit.
+ * Failures are logged rather than thrown; callers fall back to data URLs.
+ * @param {Blob} blob - PNG image
+ * @param {Object} [page] - { url, title } of the captured tab
+ * @param {Object} [extra] - More fields for the entry (label, source, scheduleId, metadata)
+ * @returns {Promise<number|null>} The entry's id, or null if it wasn't saved
+ */
+async function recordCapture(blob, page, extra = {}) {
+  try {
+    const bitmap = await createImageBitmap(blob);
+    const thumbnail = await createThumbnail(bitmap);
+
+    const id = await addCapture({
+      blob,
+      thumbnail,
+      width: bitmap.width,
+      height: bitmap.height,
+      url: page?.url || null,
+      title: page?.title || page?.url || 'Screenshot',
+      source: 'capture',
+      ...extra
+    });
+    bitmap.close();
+
+    await pruneHistory(await getRetention());
+    return id;
+  } catch (error) {
+    reportError(createErrorResponse(CaptureError.STORAGE_FAILED, error), { url: page?.url, source: 'history' });
+    return null;
   }
 }
 
-async function openEditor(dataUrl) {
+/**
+ * Small JPEG of the top of an image for the history page
+ */
+async function createThumbnail(bitmap) {
+  const scale = Math.min(1, THUMBNAIL_WIDTH / bitmap.width);
+  const width = Math.round(bitmap.width * scale);
+  const height = Math.min(Math.round(bitmap.height * scale), width);
+
+  const canvas = new OffscreenCanvas(width, height);
+  const ctx = canvas.getContext('2d');
+  ctx.fillStyle = '#fff';
+  ctx.fillRect(0, 0, width, height);
+  ctx.drawImage(bitmap, 0, 0, bitmap.width * scale, bitmap.height * scale);
+  return canvas.convertToBlob({ type: 'image/jpeg', quality: 0.8 });
+}
+
+function dataUrlToBlob(dataUrl) {
+  return fetch(dataUrl).then(response => response.blob());
+}
+
+/**
+ * Blob of an image given as a Blob or a data URL
+ */
+async function toBlob(image) {
+  return typeof image === 'string' ? dataUrlToBlob(image) : image;
+}
+
+/**
+ * Base64 data URL for a Blob (service workers have no FileReader)
+ */
+async function blobToDataUrl(blob) {
+  const bytes = new Uint8Array(await blob.arrayBuffer());
+  let binaryString = '';
+  const chunkSize = 8192;
+  for (let i = 0; i < bytes.length; i += chunkSize) {
+    binaryString += String.fromCharCode.apply(null, bytes.subarray(i, i + chunkSize));
+  }
+  return `data:${blob.type || 'application/octet-stream'};base64,` + btoa(binaryString);
+}
+
+/**
+ * Open a capture in the editor. The image is added to the history
+ * (IndexedDB) and the editor is handed its id; only if that fails does the
+ * image itself go through chrome.storage.local, as a data URL.
+ * @param {Blob|string} image - PNG Blob or data URL
+ * @param {Object} [page] - Tab the capture was taken from ({ url, title })
+ * @param {Object} [metadata] - Page info (see getPageInfo)
+ */
+async function openEditor(image, page, metadata = null) {
+  let dataUrl = typeof image === 'string' ? image : null;
+
   try {
-    // Store screenshot data
-    await chrome.storage.local.set({ screenshotData: dataUrl });
+    const blob = dataUrl ? await dataUrlToBlob(dataUrl) : image;
+    const historyId = await recordCapture(blob, page, { metadata });
+
+    if (historyId) {
+      await chrome.storage.local.set({ screenshotHistoryId: historyId });
+    } else {
+      dataUrl = dataUrl || await blobToDataUrl(blob);
+      await chrome.storage.local.set({ screenshotData: dataUrl, screenshotMetadata: metadata });
+    }
 
     // Open editor page
     const editorUrl = chrome.runtime.getURL('editor/editor.html');
@@ -314,6 +1318,10 @@ async function openEditor(dataUrl) {
 
     return { success: true };
   } catch (error) {
+    if (!dataUrl) {
+      return { success: false, error: error.message || 'Failed to open editor' };
+    }
+
     // Check if it's a storage quota error
     if (error.message && (error.message.includes('QUOTA') || error.message.includes('quota'))) {
       // Try to open editor anyway - it might be able to recover
@@ -340,3 +1348,665 @@ async function openEditor(dataUrl) {
     }
   }
 }
+
+/**
+ * Open several related images (e.g. the parts of a split full-page capture)
+ * in one editor tab. The editor lets the user step through and export them.
+ * Like openEditor, images are handed over by history id where possible.
+ * @param {Array<{image: Blob|string, label: string, filename?: string, metadata?: Object, url?: string, title?: string}>} images
+ * @param {Object} [page] - Tab the images were taken from, unless each
+ *   image names its own url and title (batch captures)
+ * @param {Object} [extra] - Stored with each history entry, e.g. the source
+ */
+async function openEditorSet(images, page, extra = {}) {
+  try {
+    const entries = [];
+    for (const image of images) {
+      const blob = await toBlob(image.image);
+      const historyId = await recordCapture(blob, image.url ? image : page, {
+        ...extra,
+        label: image.label,
+        metadata: image.metadata || null
+      });
+      const entry = { label: image.label, filename: image.filename };
+      entries.push(historyId
+        ? { ...entry, historyId }
+        : { ...entry, dataUrl: await blobToDataUrl(blob), metadata: image.metadata || null });
+    }
+
+    await chrome.storage.local.set({ screenshotSet: entries });
+
+    const editorUrl = chrome.runtime.getURL('editor/editor.html');
+    await chrome.tabs.create({ url: editorUrl });
+
+    return { success: true };
+  } catch (error) {
+    // Storing the whole set failed, fall back to opening the first image alone
+    const result = await openEditor(images[0].image, page, images[0].metadata);
+    return result.success
+      ? { success: false, error: 'Only the first image could be opened' }
+      : result;
+  }
+}
+
+/**
+ * Run a full-page capture and hand back its image(s) instead of opening
+ * the editor. Resolves with an array of PNG Blobs (several if split), or
+ * data URLs if the page couldn't hand over Blobs.
+ * Callers run without anyone watching, so the capture never asks anything:
+ * tall pages are split and fixed elements are not reviewed.
+ */
+function captureFullPageResult(tabId, options = {}) {
+  return new Promise((resolve, reject) => {
+    const finish = (callback) => (value) => {
+      clearTimeout(timer);
+      pendingFullPageCaptures.delete(tabId);
+      callback(value);
+    };
+    const timer = setTimeout(() => {
+      finish(reject)(new Error('Full-page capture timed out'));
+    }, FULL_PAGE_TIMEOUT);
+
+    pendingFullPageCaptures.set(tabId, { resolve: finish(resolve), reject: finish(reject) });
+
+    captureFullPage(tabId, (response) => {
+      if (response?.error) {
+        finish(reject)(new Error(response.details || response.error));
+      }
+    }, { oversize: 'split', ...options, reviewFixedElements: false, unattended: true });
+  });
+}
+
+/**
+ * Capture every tab (or the highlighted tabs) of a window one after another
+ * and collect the images into one editor session or a ZIP download.
+ * Responds as soon as the batch has started; progress shows on the badge.
+ * @param {Object} message - { windowId, scope: 'all'|'highlighted',
+ *   kind: 'visible'|'fullPage', output: 'session'|'zip' }
+ */
+async function captureTabBatch(message, sendResponse) {
+  let originalTab = null;
+
+  try {
+    const query = message.scope === 'highlighted'
+      ? { windowId: message.windowId, highlighted: true }
+      : { windowId: message.windowId };
+    const tabs = (await chrome.tabs.query(query)).filter(tab => !isProtectedUrl(tab.url));
+
+    if (tabs.length === 0) {
+      sendResponse(createErrorResponse(CaptureError.NO_TAB, { message: 'No capturable tabs in this window' }));
+      return;
+    }
+
+    sendResponse({ success: true, count: tabs.length });
+    [originalTab] = await chrome.tabs.query({ active: true, windowId: message.windowId });
+
+    const images = [];
+    const failures = [];
+
+    for (const [index, tab] of tabs.entries()) {
+      await setBatchProgress(index + 1, tabs.length);
+
+      try {
+        await chrome.tabs.update(tab.id, { active: true });
+        await waitForTabLoad(tab.id);
+        await delay(TAB_SETTLE_DELAY);
+
+        const tabImages = message.kind === 'fullPage'
+          ? await captureFullPageResult(tab.id)
+          : [await captureVisibleTabAsync(tab.windowId)];
+        const metadata = await getPageInfo(tab, { relativeTo: message.kind === 'fullPage' ? 'page' : 'viewport' });
+
+        const baseName = getTabFileName(tab, index);
+        tabImages.forEach((image, part) => {
+          const suffix = tabImages.length > 1 ? ` (part ${part + 1} of ${tabImages.length})` : '';
+          images.push({
+            image,
+            metadata,
+            url: tab.url,
+            title: tab.title,
+            label: (tab.title || tab.url) + suffix,
+            filename: tabImages.length > 1 ? `${baseName}-part-${part + 1}.png` : `${baseName}.png`
+          });
+        });
+      } catch (error) {
+        failures.push(tab.url);
+        reportError(createErrorResponse(classifyError(error), error), { mode: 'batch', url: tab.url });
+      }
+    }
+
+    await clearBatchProgress();
+    if (originalTab) {
+      await chrome.tabs.update(originalTab.id, { active: true }).catch(() => {});
+    }
+
+    if (images.length === 0) {
+      if (originalTab) showErrorBadge(originalTab.id, 'None of the tabs could be captured');
+      showErrorNotification('None of the tabs could be captured');
+      return;
+    }
+
+    if (message.output === 'zip') {
+      await downloadImagesAsZip(images, `tabs-${getTimestamp()}.zip`);
+    } else {
+      await openEditorSet(images, null, { source: 'batch' });
+    }
+
+    // Each skipped tab is in the error log already
+    if (failures.length > 0) {
+      const summary = `${failures.length} of ${tabs.length} tabs could not be captured`;
+      if (originalTab) showErrorBadge(originalTab.id, summary);
+      showErrorNotification(summary);
+    }
+  } catch (error) {
+    await clearBatchProgress();
+    if (originalTab) {
+      reportError(createErrorResponse(classifyError(error), error), { mode: 'batch', notify: true });
+      showErrorBadge(originalTab.id, error.message || 'Batch capture failed');
+    } else {
+      sendResponse(createErrorResponse(classifyError(error), error));
+    }
+  }
+}
+
+function delay(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Wait until a tab has finished loading (activating a discarded tab reloads it)
+ */
+async function waitForTabLoad(tabId) {
+  const start = Date.now();
+  while (Date.now() - start < TAB_LOAD_TIMEOUT) {
+    const tab = await chrome.tabs.get(tabId);
+    if (tab.status === 'complete') return;
+    await delay(200);
+  }
+}
+
+async function setBatchProgress(current, total) {
+  const text = `${current}/${total}`;
+  await chrome.action.setBadgeBackgroundColor({ color: '#667eea' });
+  await chrome.action.setBadgeText({ text: text.length <= 4 ? text : String(current) });
+  await chrome.action.setTitle({ title: `Snap Hero: capturing tab ${current} of ${total}` });
+}
+
+async function clearBatchProgress() {
+  await chrome.action.setBadgeText({ text: '' });
+  await chrome.action.setTitle({ title: 'Snap Hero' });
+}
+
+/**
+ * File name (without extension) from a tab's position, title and host,
+ * e.g. "03-release-notes-example.com"
+ */
+function getTabFileName(tab, index) {
+  const slug = (text) => (text || '')
+    .normalize('NFKD')
+    .replace(/[^\w\s.-]/g, '')
+    .trim()
+    .replace(/[\s_]+/g, '-')
+    .replace(/-+/g, '-')
+    .slice(0, 60)
+    .replace(/^[-.]+|[-.]+$/g, '')
+    .toLowerCase();
+
+  let host = '';
+  try {
+    host = new URL(tab.url).hostname;
+  } catch {
+    // No host (e.g. data: URLs)
+  }
+
+  const parts = [String(index + 1).padStart(2, '0'), slug(tab.title), slug(host)].filter(Boolean);
+  return parts.join('-');
+}
+
+function getTimestamp() {
+  const now = new Date();
+  const date = now.toISOString().slice(0, 10); // YYYY-MM-DD
+  const time = now.toTimeString().slice(0, 8).replace(/:/g, ''); // HHMMSS
+  return `${date}-${time}`;
+}
+
+/**
+ * Pack images into a ZIP and save it through the downloads API
+ * @param {Array<{image: Blob|string, filename: string}>} images
+ */
+async function downloadImagesAsZip(images, zipName) {
+  const names = uniqueNames(images.map(image => image.filename));
+  const files = await Promise.all(images.map(async (image, i) => {
+    const blob = await toBlob(image.image);
+    return { name: names[i], data: new Uint8Array(await blob.arrayBuffer()) };
+  }));
+
+  await downloadBlob(createZip(files), zipName);
+}
+
+/**
+ * Save a Blob through the downloads API. Service workers can't create
+ * object URLs, so the offscreen document makes one from a transfer; it is
+ * revoked once the download has finished.
+ */
+async function downloadBlob(blob, filename) {
+  const transferId = await addTransfer(blob);
+  await ensureOffscreenDocument();
+
+  const response = await chrome.runtime.sendMessage({ target: 'offscreen', action: 'createObjectUrl', transferId });
+  if (!response?.url) {
+    throw new Error(response?.error || 'Could not prepare the download');
+  }
+
+  try {
+    const downloadId = await chrome.downloads.download({ url: response.url, filename, saveAs: false });
+    pendingDownloadUrls.set(downloadId, response.url);
+  } catch (error) {
+    revokeDownloadUrl(response.url);
+    throw error;
+  }
+}
+
+function revokeDownloadUrl(url) {
+  chrome.runtime.sendMessage({ target: 'offscreen', action: 'revokeObjectUrl', url }).catch(() => {});
+}
+
+chrome.downloads.onChanged.addListener((delta) => {
+  const url = pendingDownloadUrls.get(delta.id);
+  if (url && ['complete', 'interrupted'].includes(delta.state?.current)) {
+    pendingDownloadUrls.delete(delta.id);
+    revokeDownloadUrl(url);
+  }
+});
+
+let offscreenDocumentCreating = null;
+
+/**
+ * Open the offscreen document unless it is open already
+ */
+async function ensureOffscreenDocument() {
+  if (await chrome.offscreen.hasDocument()) return;
+
+  if (!offscreenDocumentCreating) {
+    offscreenDocumentCreating = chrome.offscreen.createDocument({
+      url: 'offscreen/offscreen.html',
+      reasons: ['BLOBS'],
+      justification: 'Create object URLs for downloads'
+    }).finally(() => {
+      offscreenDocumentCreating = null;
+    });
+  }
+  await offscreenDocumentCreating;
+}
+
+/**
+ * Full-page capture of one tab at several viewport widths, by resizing its
+ * window. Opens the results as a labelled set; the window is restored after.
+ * @param {number[]} [widths] - Viewport widths in CSS pixels
+ */
+async function captureResponsiveSet(tabId, widths, sendResponse) {
+  let windowId = null;
+  let originalBounds = null;
+
+  try {
+    const tab = await chrome.tabs.get(tabId);
+
+    if (isProtectedUrl(tab.url)) {
+      sendResponse(createErrorResponse(CaptureError.PROTECTED_PAGE));
+      return;
+    }
+
+    const targets = (widths?.length ? widths : DEFAULT_RESPONSIVE_WIDTHS)
+      .map(Math.round)
+      .filter(width => width > 0);
+
+    windowId = tab.windowId;
+    const win = await chrome.windows.get(windowId);
+    originalBounds = { left: win.left, top: win.top, width: win.width, height: win.height, state: win.state };
+
+    // Resizing the window closes the popup, so answer first
+    sendResponse({ success: true });
+
+    if (win.state !== 'normal') {
+      await chrome.windows.update(windowId, { state: 'normal' });
+    }
+
+    const images = [];
+    for (const [index, width] of targets.entries()) {
+      await setBatchProgress(index + 1, targets.length);
+
+      // Every width injects the page script again; like batch runs it
+      // captures unattended, so no width stops at a prompt
+      const actualWidth = await resizeViewport(windowId, tabId, width);
+      const widthImages = await captureFullPageResult(tabId);
+      const metadata = await getPageInfo(tab, { relativeTo: 'page' });
+      const label = actualWidth === width ? `${width}px` : `${width}px (got ${actualWidth}px)`;
+
+      widthImages.forEach((image, part) => {
+        images.push({
+          image,
+          metadata,
+          label: widthImages.length > 1 ? `${label} part ${part + 1}` : label,
+          filename: widthImages.length > 1 ? `${width}px-part-${part + 1}.png` : `${width}px.png`
+        });
+      });
+    }
+
+    await restoreWindow(windowId, originalBounds);
+    await clearBatchProgress();
+    await openEditorSet(images, tab, { source: 'responsive' });
+  } catch (error) {
+    if (originalBounds) {
+      await restoreWindow(windowId, originalBounds).catch(() => {});
+      await clearBatchProgress();
+      reportError(createErrorResponse(classifyError(error), error), { mode: 'responsive', tabId, notify: true });
+      showErrorBadge(tabId, error.message || 'Responsive capture failed');
+    } else {
+      sendResponse(createErrorResponse(classifyError(error), error));
+    }
+  }
+}
+
+/**
+ * Resize a window so the tab's viewport is `width` CSS pixels wide, as far
+ * as the browser allows. Returns the width actually reached.
+ */
+async function resizeViewport(windowId, tabId, width) {
+  const measure = async () => {
+    const [{ result }] = await chrome.scripting.executeScript({
+      target: { tabId: tabId },
+      func: () => document.documentElement.clientWidth
+    });
+    return result;
+  };
+
+  // Window sizes are in screen pixels, the viewport in CSS pixels
+  const zoom = await chrome.tabs.getZoom(tabId);
+
+  // Window frame and scrollbar aren't part of the viewport; a second round
+  // covers a scrollbar appearing or disappearing at the new width
+  let actual = 0;
+  for (let attempt = 0; attempt < 2; attempt++) {
+    const win = await chrome.windows.get(windowId);
+    const extra = win.width - Math.round((await measure()) * zoom);
+    await chrome.windows.update(windowId, { width: Math.round(width * zoom) + extra });
+    await delay(RESIZE_SETTLE_DELAY);
+    actual = await measure();
+    if (actual === width) break;
+  }
+  return actual;
+}
+
+async function restoreWindow(windowId, bounds) {
+  const { state, ...size } = bounds;
+  await chrome.windows.update(windowId, size);
+  if (state !== 'normal') {
+    await chrome.windows.update(windowId, { state });
+  }
+}
+
+/**
+ * Saved schedules, oldest first
+ * @returns {Promise<Array<Object>>}
+ */
+async function getSchedules() {
+  const { captureSchedules = [] } = await chrome.storage.local.get(['captureSchedules']);
+  return captureSchedules;
+}
+
+/**
+ * Apply changes to one schedule, re-reading the list so concurrent updates
+ * (popup and alarm) don't overwrite each other
+ */
+async function updateSchedule(scheduleId, changes) {
+  const schedules = await getSchedules();
+  const updated = schedules.map(s => s.id === scheduleId ? { ...s, ...changes } : s);
+  await chrome.storage.local.set({ captureSchedules: updated });
+}
+
+/**
+ * Start capturing a tab on a schedule. Captures go into the local history.
+ * @param {Object} message - { tabId, mode: 'visible'|'fullPage',
+ *   intervalMinutes } or { ..., times: ['HH:MM', ...] }, plus optional
+ *   maxCount and endAt (ms timestamp) to stop after
+ */
+async function createSchedule(message, sendResponse) {
+  try {
+    const tab = await chrome.tabs.get(message.tabId);
+    if (isProtectedUrl(tab.url)) {
+      sendResponse(createErrorResponse(CaptureError.PROTECTED_PAGE));
+      return;
+    }
+
+    const times = message.times?.filter(time => TIME_OF_DAY_PATTERN.test(time));
+    const intervalMinutes = Number(message.intervalMinutes);
+    if (times ? times.length === 0 : !(intervalMinutes >= MIN_SCHEDULE_INTERVAL)) {
+      sendResponse({ success: false, error: 'Choose an interval of at least 1 minute or one or more times of day' });
+      return;
+    }
+    if (message.endAt && message.endAt <= Date.now()) {
+      sendResponse({ success: false, error: 'The end date is in the past' });
+      return;
+    }
+
+    const schedule = {
+      id: crypto.randomUUID(),
+      tabId: tab.id,
+      url: tab.url,
+      title: tab.title || tab.url,
+      mode: message.mode === 'fullPage' ? 'fullPage' : 'visible',
+      intervalMinutes: times ? null : intervalMinutes,
+      times: times || null,
+      maxCount: message.maxCount > 0 ? Math.round(message.maxCount) : null,
+      endAt: message.endAt || null,
+      count: 0,
+      createdAt: Date.now(),
+      lastRunAt: null,
+      lastError: null,
+      failures: 0,
+      paused: false
+    };
+    schedule.nextRunAt = getNextRunTime(schedule);
+
+    await chrome.storage.local.set({ captureSchedules: [...await getSchedules(), schedule] });
+    await armSchedule(schedule);
+    sendResponse({ success: true, schedule });
+  } catch (error) {
+    sendResponse(createErrorResponse(classifyError(error), error));
+  }
+}
+
+/**
+ * When a schedule should fire next, after `from`
+ */
+function getNextRunTime(schedule, from = Date.now()) {
+  if (!schedule.times) {
+    return from + schedule.intervalMinutes * 60000;
+  }
+
+  return Math.min(...schedule.times.map(time => {
+    const [, hours, minutes] = time.match(TIME_OF_DAY_PATTERN);
+    const next = new Date(from);
+    next.setHours(Number(hours), Number(minutes), 0, 0);
+    if (next.getTime() <= from) next.setDate(next.getDate() + 1);
+    return next.getTime();
+  }));
+}
+
+async function armSchedule(schedule) {
+  await chrome.alarms.create(SCHEDULE_ALARM_PREFIX + schedule.id, { when: schedule.nextRunAt });
+}
+
+/**
+ * Start a paused schedule again from its next regular run
+ */
+async function resumeSchedule(scheduleId) {
+  const schedule = (await getSchedules()).find(s => s.id === scheduleId);
+  if (!schedule?.paused) return;
+
+  const nextRunAt = getNextRunTime(schedule);
+  await updateSchedule(scheduleId, { paused: false, failures: 0, lastError: null, nextRunAt });
+  await armSchedule({ ...schedule, nextRunAt });
+}
+
+async function stopSchedule(scheduleId) {
+  await chrome.alarms.clear(SCHEDULE_ALARM_PREFIX + scheduleId);
+  const schedules = await getSchedules();
+  await chrome.storage.local.set({ captureSchedules: schedules.filter(s => s.id !== scheduleId) });
+}
+
+/**
+ * Re-create alarms for saved schedules; runs that were missed while the
+ * browser was closed are caught up once, right away
+ */
+async function rearmSchedules() {
+  for (const schedule of await getSchedules()) {
+    if (schedule.paused) continue;
+    const existing = await chrome.alarms.get(SCHEDULE_ALARM_PREFIX + schedule.id);
+    if (!existing) {
+      await armSchedule({ ...schedule, nextRunAt: Math.max(schedule.nextRunAt, Date.now() + 1000) });
+    }
+  }
+}
+
+/**
+ * Alarm handler: capture the schedule's tab into history, then arm the next
+ * run or retire the schedule once its count or end date is reached. After
+ * MAX_SCHEDULE_FAILURES failed runs in a row it is paused instead, so a
+ * broken page doesn't notify forever.
+ */
+async function runScheduledCapture(scheduleId) {
+  const schedule = (await getSchedules()).find(s => s.id === scheduleId);
+  if (!schedule) {
+    await chrome.alarms.clear(SCHEDULE_ALARM_PREFIX + scheduleId);
+    return;
+  }
+
+  const tab = await findScheduledTab(schedule);
+  if (!tab) {
+    // Nothing left to watch
+    reportError({
+      error: 'Scheduled capture stopped, its tab was closed',
+      errorType: CaptureError.NO_TAB
+    }, { mode: schedule.mode, url: schedule.url, source: 'schedule' });
+    await stopSchedule(scheduleId);
+    return;
+  }
+
+  const changes = { tabId: tab.id, lastRunAt: Date.now() };
+
+  try {
+    if (isProtectedUrl(tab.url)) {
+      throw new Error(ErrorMessages[CaptureError.PROTECTED_PAGE]);
+    }
+
+    const images = await captureScheduledTab(tab, schedule.mode);
+    if (images.length === 0) {
+      throw new Error('Capture returned no image');
+    }
+    const metadata = await getPageInfo(tab, { relativeTo: schedule.mode === 'fullPage' ? 'page' : 'viewport' });
+    for (const [part, image] of images.entries()) {
+      const historyId = await recordCapture(await toBlob(image), tab, {
+        source: 'schedule',
+        scheduleId,
+        metadata,
+        label: images.length > 1 ? `Part ${part + 1} of ${images.length}` : null
+      });
+      if (!historyId) throw new Error('Could not save the capture to history');
+    }
+
+    changes.count = schedule.count + 1;
+    changes.lastError = null;
+    changes.failures = 0;
+  } catch (error) {
+    changes.lastError = error.message || 'Capture failed';
+    changes.failures = (schedule.failures || 0) + 1;
+    changes.paused = changes.failures >= MAX_SCHEDULE_FAILURES;
+
+    // Logged and notified with the actual reason (e.g. a timeout), as
+    // nobody was watching when it happened
+    reportError({
+      ...createErrorResponse(classifyError(error), error),
+      error: changes.paused
+        ? `Scheduled capture paused after ${changes.failures} failed runs: ${changes.lastError}`
+        : `Scheduled capture failed: ${changes.lastError}`
+    }, {
+      mode: schedule.mode,
+      url: tab.url,
+      source: 'schedule',
+      notify: true
+    });
+    showErrorBadge(tab.id, `Scheduled capture failed: ${changes.lastError}`);
+  }
+
+  const count = changes.count ?? schedule.count;
+  const nextRunAt = getNextRunTime(schedule);
+  const finished = (schedule.maxCount && count >= schedule.maxCount) ||
+    (schedule.endAt && nextRunAt > schedule.endAt);
+
+  if (finished) {
+    await stopSchedule(scheduleId);
+    return;
+  }
+
+  await updateSchedule(scheduleId, { ...changes, nextRunAt });
+  if (!changes.paused) {
+    await armSchedule({ ...schedule, nextRunAt });
+  }
+}
+
+/**
+ * The schedule's tab, or after a restart (new tab ids) a tab showing the
+ * same URL
+ */
+async function findScheduledTab(schedule) {
+  try {
+    return await chrome.tabs.get(schedule.tabId);
+  } catch {
+    const tabs = await chrome.tabs.query({});
+    return tabs.find(tab => tab.url === schedule.url) || null;
+  }
+}
+
+/**
+ * Capture a tab that may be in the background: it is brought to the front
+ * for the capture and the previously active tab restored afterwards
+ * @returns {Promise<Array<Blob|string>>} PNG Blobs or data URLs (several if a full page was split)
+ */
+async function captureScheduledTab(tab, mode) {
+  const [activeTab] = await chrome.tabs.query({ active: true, windowId: tab.windowId });
+  const switched = activeTab && activeTab.id !== tab.id;
+
+  try {
+    if (switched) {
+      await chrome.tabs.update(tab.id, { active: true });
+      await waitForTabLoad(tab.id);
+      await delay(TAB_SETTLE_DELAY);
+    }
+
+    return mode === 'fullPage'
+      ? await captureFullPageResult(tab.id)
+      : [await captureVisibleTabAsync(tab.windowId)];
+  } finally {
+    if (switched) {
+      await chrome.tabs.update(activeTab.id, { active: true }).catch(() => {});
+    }
+  }
+}
+
+/**
+ * Open the newest capture a schedule has taken in the editor
+ */
+async function openScheduledCapture(scheduleId, sendResponse) {
+  try {
+    const capture = await getLatestScheduledCapture(scheduleId);
+    if (!capture) {
+      sendResponse({ success: false, error: 'Nothing has been captured yet' });
+      return;
+    }
+    await chrome.tabs.create({ url: chrome.runtime.getURL(`editor/editor.html?history=${capture.id}`) });
+    sendResponse({ success: true });
+  } catch (error) {
+    sendResponse(createErrorResponse(classifyError(error), error));
+  }
+}
@@ -0,0 +1,7 @@
+(() => {
+  // Remember the element that was right-clicked, so the "Capture this
+  // element" menu entry can find it once the background script runs
+  document.addEventListener('contextmenu', (e) => {
+    window.__snapHeroContextTarget = e.composedPath()[0] || e.target;
+  }, true);
+})();
@@ -0,0 +1,95 @@
+(() => {
+  // Prevent double injection
+  if (document.getElementById('snap-hero-countdown')) return;
+
+  // Options are set by the background script right before injection
+  const options = window.__snapHeroOptions || {};
+  delete window.__snapHeroOptions;
+
+  let remaining = Math.max(1, Math.round(options.seconds || 3));
+  let timerId = null;
+
+  // Small badge in the corner; it never takes pointer events so hover
+  // menus and tooltips under it stay open
+  const badge = document.createElement('div');
+  badge.id = 'snap-hero-countdown';
+  Object.assign(badge.style, {
+    position: 'fixed',
+    top: '16px',
+    right: '16px',
+    zIndex: '2147483647',
+    display: 'flex',
+    alignItems: 'center',
+    gap: '10px',
+    background: 'rgba(0, 0, 0, 0.8)',
+    color: '#fff',
+    fontFamily: '-apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif',
+    fontSize: '13px',
+    padding: '10px 14px',
+    borderRadius: '10px',
+    boxShadow: '0 4px 16px rgba(0, 0, 0, 0.3)',
+    pointerEvents: 'none',
+    userSelect: 'none'
+  });
+
+  const number = document.createElement('span');
+  Object.assign(number.style, {
+    fontSize: '22px',
+    fontWeight: '700',
+    minWidth: '28px',
+    textAlign: 'center',
+    color: '#4facfe'
+  });
+
+  const label = document.createElement('span');
+  label.style.lineHeight = '1.4';
+  label.innerHTML = 'Capturing soon<br><span style="opacity:0.7;font-size:11px">Press Esc to cancel</span>';
+
+  badge.appendChild(number);
+  badge.appendChild(label);
+  document.documentElement.appendChild(badge);
+
+  document.addEventListener('keydown', onKeyDown, true);
+  tick();
+
+  function tick() {
+    if (remaining <= 0) {
+      finish();
+      return;
+    }
+    number.textContent = remaining;
+    remaining--;
+    timerId = setTimeout(tick, 1000);
+  }
+
+  function finish() {
+    cleanup();
+
+    // Wait for the badge removal to render, then hand over to the capture
+    requestAnimationFrame(() => {
+      requestAnimationFrame(() => {
+        chrome.runtime.sendMessage({
+          action: 'countdownComplete',
+          capture: options.capture
+        });
+      });
+    });
+  }
+
+  function onKeyDown(e) {
+    if (e.key === 'Escape') {
+      e.preventDefault();
+      e.stopPropagation();
+      cleanup();
+      chrome.runtime.sendMessage({ action: 'countdownCancelled' });
+    }
+  }
+
+  function cleanup() {
+    if (timerId) { clearTimeout(timerId); timerId = null; }
+    document.removeEventListener('keydown', onKeyDown, true);
+    if (badge.parentNode) {
+      badge.parentNode.removeChild(badge);
+    }
+  }
+})();
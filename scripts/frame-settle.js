@@ -0,0 +1,47 @@
+// Runs in every frame of a page before each full-page capture segment
+// (injected by the background script with allFrames). Waits until images
+// that scrolled into view have loaded and the frame's own scrolling has
+// stopped; the script's value is the promise the background script awaits.
+(async function settleFrame() {
+  const IMAGE_LOAD_TIMEOUT = 1500;
+  const SCROLL_SETTLE_TIMEOUT = 1000;
+  const SCROLL_CHECK_INTERVAL = 50;
+
+  // The top frame is handled by full-page.js itself
+  if (window === window.top) return;
+
+  const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+  // Images in the document and its open shadow roots
+  const images = [];
+  const visit = root => {
+    images.push(...root.querySelectorAll('img'));
+    root.querySelectorAll('*').forEach(el => {
+      if (el.shadowRoot) visit(el.shadowRoot);
+    });
+  };
+  visit(document);
+
+  const loading = images
+    .filter(img => !img.complete)
+    .map(img => new Promise(resolve => {
+      img.addEventListener('load', resolve, { once: true });
+      img.addEventListener('error', resolve, { once: true });
+    }));
+
+  if (loading.length > 0) {
+    await Promise.race([Promise.all(loading), delay(IMAGE_LOAD_TIMEOUT)]);
+  }
+
+  // Nested scrolling (e.g. an app that scrolls to keep its content in view)
+  const scroller = document.scrollingElement || document.documentElement;
+  let last = `${scroller.scrollLeft},${scroller.scrollTop}`;
+  const start = performance.now();
+
+  while (performance.now() - start < SCROLL_SETTLE_TIMEOUT) {
+    await delay(SCROLL_CHECK_INTERVAL);
+    const position = `${scroller.scrollLeft},${scroller.scrollTop}`;
+    if (position === last) break;
+    last = position;
+  }
+})();
@@ -2,14 +2,91 @@
   // Constants
   const CAPTURE_DELAY = 150;
   const LAZY_LOAD_DELAY = 300;
+  const MAX_CANVAS_WIDTH = 16000;
   const MAX_CANVAS_HEIGHT = 16000;
+  const MAX_PARTS = 12;
   const MIN_ELEMENT_SIZE = 10;
+  const MIN_SCROLL_CONTAINER_SIZE = 100;
   const IMAGE_LOAD_TIMEOUT = 1500;
+  const SCROLL_SETTLE_TIMEOUT = 1000;
+  const RELAY_TIMEOUT = 30000;
+
+  // Readiness strategies other than fixed delays: the page must stay quiet
+  // (no requests finishing, no DOM changes) for READY_QUIET_PERIOD ms, and
+  // no strategy waits longer than READY_TIMEOUT ms per segment
+  const READY_QUIET_PERIOD = 500;
+  const READY_TIMEOUT = 5000;
+  const SELECTOR_POLL_INTERVAL = 100;
+
+  // Time left is shown once this many segments have been timed
+  const ETA_MIN_SEGMENTS = 2;
+
+  // Seam alignment (optional): rows overlap by SEAM_OVERLAP px and are matched
+  // within +/- SEAM_SEARCH_RANGE px
+  const SEAM_OVERLAP = 96;
+  const SEAM_SEARCH_RANGE = 48;
+  const SEAM_BANDS = 8;
+  const SEAM_MIN_ROWS = 24;
+  const SEAM_MIN_CONTRAST = 12;
+
+  // Fixed/sticky element handling
+  const POLICY_LABELS = {
+    first: 'Show once at top',
+    every: 'Show in every segment',
+    hide: 'Hide everywhere'
+  };
+  const POLICY_HIDE_PATTERN = /cookie|consent|gdpr|onetrust|didomi|truste|cmp-|chat|intercom|drift|zendesk|crisp|livechat|messenger|hubspot-messages|newsletter|subscribe-popup/;
+  const STICKY_HINT_SELECTOR = 'header, nav, aside, thead, th, [class*="sticky"], [class*="Sticky"], [class*="header"], [class*="Header"], [class*="toolbar"], [class*="sidebar"]';
+
+  // Options are set by the background script right before injection
+  const options = window.__snapHeroOptions || {};
+  delete window.__snapHeroOptions;
+  const readiness = options.readiness || { strategy: 'fixed' };
+
+  // Unattended captures (batch runs, responsive sets, schedules) never wait
+  // for input, whatever the settings say: nobody is there to answer
+  const interactive = !options.unattended;
+
+  // Resolve what to scroll: the window, or an inner scrollable element
+  let scroller;
+  if (options.target === 'container') {
+    const container = options.pickContainer && interactive
+      ? await pickScrollContainer()
+      : findScrollableElements()[0];
+
+    // Picker was dismissed with Esc
+    if (container === null) {
+      chrome.runtime.sendMessage({ action: 'fullPageCancelled' });
+      return;
+    }
+
+    if (!container) {
+      chrome.runtime.sendMessage({
+        action: 'fullPageError',
+        error: 'No scrollable panel was found on this page.'
+      });
+      return;
+    }
+    scroller = createElementScroller(container);
+  } else {
+    scroller = createWindowScroller();
+  }
 
   // Create progress overlay
   const progressOverlay = createProgressOverlay();
   document.body.appendChild(progressOverlay);
 
+  // The capture can be cancelled with the overlay's button or Esc from the
+  // start: prompts then answer with their cancel choice, and waits in the
+  // segment loop stop right away
+  const CAPTURE_CANCELLED = new Error('Capture cancelled');
+  let cancelCapture;
+  const cancelled = new Promise((_, reject) => {
+    cancelCapture = () => reject(CAPTURE_CANCELLED);
+  });
+  cancelled.catch(() => {});
+  enableCancel();
+
   function updateProgress(message, current, total) {
     const text = progressOverlay.querySelector('.progress-text');
     const bar = progressOverlay.querySelector('.progress-bar-fill');
@@ -19,156 +96,802 @@
     }
   }
 
+  /**
+   * Show buttons in the progress overlay and resolve with the chosen value,
+   * or with cancelValue if the capture is cancelled first
+   */
+  function askChoice(message, choices, cancelValue) {
+    const text = progressOverlay.querySelector('.progress-text');
+    const actions = progressOverlay.querySelector('.progress-actions');
+    if (text) text.textContent = message;
+
+    return new Promise(resolve => {
+      let answered = false;
+      const answer = (value) => {
+        if (answered) return;
+        answered = true;
+        actions.innerHTML = '';
+        actions.style.display = 'none';
+        resolve(value);
+      };
+
+      choices.forEach((choice, index) => {
+        const button = document.createElement('button');
+        button.textContent = choice.label;
+        Object.assign(button.style, {
+          border: index === 0 ? 'none' : '1px solid #d0d0d0',
+          background: index === 0 ? 'linear-gradient(90deg, #4f46e5, #7c3aed)' : '#fff',
+          color: index === 0 ? '#fff' : '#333',
+          borderRadius: '6px',
+          padding: '8px 14px',
+          fontSize: '13px',
+          fontWeight: '600',
+          cursor: 'pointer',
+          fontFamily: 'inherit'
+        });
+        button.addEventListener('click', () => answer(choice.value));
+        actions.appendChild(button);
+      });
+      actions.style.display = 'flex';
+      cancelled.catch(() => answer(cancelValue));
+    });
+  }
+
+  /**
+   * Show the cancel button and listen for Esc
+   */
+  function enableCancel() {
+    const button = progressOverlay.querySelector('.progress-cancel');
+    button.addEventListener('click', cancelCapture);
+    button.style.display = '';
+    document.addEventListener('keydown', onCancelKey, true);
+  }
+
+  function onCancelKey(e) {
+    if (e.key === 'Escape') {
+      e.preventDefault();
+      e.stopPropagation();
+      cancelCapture();
+    }
+  }
+
+  /**
+   * Wait for a step of the capture, giving up as soon as it is cancelled
+   */
+  function unlessCancelled(promise) {
+    return Promise.race([promise, cancelled]);
+  }
+
+  /**
+   * Show the time left, estimated from how long the segments so far took
+   */
+  function updateTimeLeft(startTime, done, total) {
+    const eta = progressOverlay.querySelector('.progress-eta');
+    if (!eta) return;
+    if (done < ETA_MIN_SEGMENTS || done >= total) {
+      eta.textContent = '';
+      return;
+    }
+
+    const seconds = Math.ceil((performance.now() - startTime) / done * (total - done) / 1000);
+    eta.textContent = seconds < 60
+      ? `About ${seconds} s left`
+      : `About ${Math.ceil(seconds / 60)} min left`;
+  }
+
+  /**
+   * Take the overlay out of rendering and wait until a frame without it has
+   * been painted, so it can't end up in a captured segment. display: none
+   * (important, so page styles can't win) also hides descendants that page
+   * styles might force visible.
+   */
+  async function hideOverlayForCapture() {
+    progressOverlay.style.setProperty('display', 'none', 'important');
+    await nextFrame();
+    await nextFrame();
+  }
+
+  function showOverlayAfterCapture() {
+    progressOverlay.style.removeProperty('display');
+  }
+
   function removeProgressOverlay() {
+    document.removeEventListener('keydown', onCancelKey, true);
     if (progressOverlay && progressOverlay.parentNode) {
       progressOverlay.parentNode.removeChild(progressOverlay);
     }
   }
 
-  // Get page dimensions
-  const scrollHeight = Math.max(
-    document.body.scrollHeight,
-    document.documentElement.scrollHeight
-  );
-  const viewportHeight = window.innerHeight;
-  const viewportWidth = window.innerWidth;
+  // Store original scroll positions before the scroller adjusts anything
+  const originalScrollX = window.scrollX;
+  const originalScrollY = window.scrollY;
+  const originalScroll = scroller.getScrollPosition();
 
-  // Check if page exceeds max canvas size
-  const effectiveHeight = Math.min(scrollHeight, MAX_CANVAS_HEIGHT);
-  if (scrollHeight > effectiveHeight) {
-    updateProgress('Warning: Page is very long, some content may be truncated', 0, 0);
-    await delay(1500);
+  scroller.prepare();
+
+  // Get scroll area dimensions
+  const scrollWidth = scroller.getScrollWidth();
+  const scrollHeight = scroller.getScrollHeight();
+  const clip = scroller.getClip();
+
+  // Part of the scroll area to capture: all of it, or a region in page
+  // coordinates (e.g. an element too tall for the viewport)
+  const region = options.region
+    ? clampRegion(options.region, scrollWidth, scrollHeight)
+    : { x: 0, y: 0, width: scrollWidth, height: scrollHeight };
+
+  // Check if page exceeds max canvas size. Extra height can be split into
+  // several images instead of being dropped, so ask the user what they want.
+  const effectiveWidth = Math.min(region.width, MAX_CANVAS_WIDTH);
+  let effectiveHeight = Math.min(region.height, MAX_CANVAS_HEIGHT);
+  let partCount = 1;
+
+  if (region.height > MAX_CANVAS_HEIGHT) {
+    const splitHeight = Math.min(region.height, MAX_CANVAS_HEIGHT * MAX_PARTS);
+    const splitParts = Math.ceil(splitHeight / MAX_CANVAS_HEIGHT);
+    const oversize = options.oversize || (!interactive ? 'split' : await askChoice(
+      `This ${options.region ? 'area' : 'page'} is ${region.height.toLocaleString()}px tall, more than fits in one image.` +
+        (splitHeight < region.height ? ` Only the first ${splitHeight.toLocaleString()}px can be captured.` : ''),
+      [
+        { value: 'split', label: `Split into ${splitParts} images` },
+        { value: 'truncate', label: `First ${MAX_CANVAS_HEIGHT.toLocaleString()}px only` },
+        { value: 'cancel', label: 'Cancel' }
+      ],
+      'cancel'
+    ));
+
+    if (oversize === 'cancel') {
+      removeProgressOverlay();
+      window.scrollTo(originalScrollX, originalScrollY);
+      chrome.runtime.sendMessage({ action: 'fullPageCancelled' });
+      return;
+    }
+
+    if (oversize === 'split') {
+      effectiveHeight = splitHeight;
+      partCount = splitParts;
+    }
   }
 
-  // Detect fixed/sticky elements
-  const fixedElements = detectFixedElements();
-  // Store original scroll position
-  const originalScrollY = window.scrollY;
+  if (region.width > effectiveWidth) {
+    updateProgress('Warning: Page is very wide, some content may be truncated', 0, 0);
+    await delay(1500);
+  }
 
-  // Store fixed elements original state
-  const fixedElementsState = fixedElements.map(el => ({
+  // Detect fixed/sticky elements (only inside the panel when capturing one)
+  // and decide per element whether it shows once, in every segment, or never
+  const fixedElements = detectFixedElements(scroller.root).map(el => ({
     element: el,
+    policy: getDefaultPolicy(el),
     visibility: el.style.visibility
   }));
 
-  // Scroll to top
-  window.scrollTo(0, 0);
+  if (interactive && options.reviewFixedElements && fixedElements.length > 0) {
+    const confirmed = await reviewFixedElements(fixedElements);
+    if (!confirmed) {
+      removeProgressOverlay();
+      window.scrollTo(originalScrollX, originalScrollY);
+      chrome.runtime.sendMessage({ action: 'fullPageCancelled' });
+      return;
+    }
+  }
+
+  // Scroll to top-left of the capture area
+  const areaRight = region.x + effectiveWidth;
+  let areaBottom = region.y + effectiveHeight;
+  await scrollAndSettle(region.x, region.y);
   await delay(CAPTURE_DELAY);
 
-  // Calculate number of captures needed
-  const totalCaptures = Math.ceil(effectiveHeight / viewportHeight);
+  // Rows are walked from where the previous row really ended, so a scroll that
+  // lands short (smooth scrolling, scroll-snap, resizing content) leaves no gap.
+  // With seam alignment, rows overlap so neighbouring frames can be matched.
+  const overlap = options.alignSeams ? SEAM_OVERLAP : 0;
+  const columns = Math.ceil(effectiveWidth / clip.width);
+  const estimatedRows = Math.max(1, Math.ceil((effectiveHeight - overlap) / (clip.height - overlap)));
+  let totalCaptures = columns * estimatedRows;
   const captures = [];
+  const seamCorrections = [];
 
   updateProgress(`Preparing to capture ${totalCaptures} segments...`, 0, totalCaptures);
 
   try {
-    for (let i = 0; i < totalCaptures; i++) {
-      const scrollY = i * viewportHeight;
-      const isLastCapture = i === totalCaptures - 1;
-      const isFirstCapture = i === 0;
+    const startTime = performance.now();
+    let rowTop = region.y;
+    let previousFrame = null;
 
-      updateProgress(`Capturing segment ${i + 1} of ${totalCaptures}...`, i, totalCaptures);
+    for (let row = 0; rowTop < areaBottom; row++) {
+      const targetY = Math.max(0, rowTop - overlap);
+      const isFirstRow = row === 0;
+      let rowShift = 0;
+      let rowBottom = rowTop;
+      let columnLeft = region.x;
 
-      // Scroll to position
-      window.scrollTo(0, scrollY);
-      await delay(CAPTURE_DELAY);
+      totalCaptures = Math.max(totalCaptures, captures.length + columns);
 
-      // Wait for lazy-loaded content
-      await waitForImages();
-      await delay(LAZY_LOAD_DELAY);
+      for (let column = 0; column < columns; column++) {
+        const index = captures.length;
+        const targetX = region.x + column * clip.width;
 
-      // Hide fixed elements for non-first captures
-      if (!isFirstCapture) {
-        fixedElements.forEach(el => {
-          el.style.visibility = 'hidden';
-        });
-      }
+        updateProgress(`Capturing segment ${index + 1} of ${totalCaptures}...`, index, totalCaptures);
+        updateTimeLeft(startTime, index, totalCaptures);
 
-      // Request capture from background script
-      const dataUrl = await requestCapture();
+        // Scroll to position and wait for lazy-loaded content
+        await unlessCancelled(scrollAndSettle(targetX, targetY));
+        await unlessCancelled(waitUntilReady());
 
-      if (!dataUrl) {
-        throw new Error(`Failed to capture segment ${i + 1}`);
-      }
+        // Show or hide fixed elements according to their policy
+        applyFixedPolicies(isFirstRow);
 
-      // Calculate capture height
-      let captureHeight = viewportHeight;
-      if (isLastCapture) {
-        captureHeight = effectiveHeight - scrollY;
-      }
+        // Read back where we really are; the browser clamps at the page end
+        // and snapping or smooth scrolling can land somewhere else entirely
+        const actual = scroller.getScrollPosition();
 
-      captures.push({
-        dataUrl,
-        scrollY,
-        captureHeight,
-        isPartial: isLastCapture && captureHeight < viewportHeight
-      });
+        // Request capture from background script, keeping our own overlay out of the frame
+        await hideOverlayForCapture();
+        let dataUrl;
+        try {
+          dataUrl = await unlessCancelled(requestCapture());
+        } finally {
+          showOverlayAfterCapture();
+        }
 
-      // Restore fixed elements visibility
-      if (!isFirstCapture) {
-        fixedElements.forEach(el => {
-          el.style.visibility = '';
-        });
+        if (!dataUrl) {
+          throw new Error(`Failed to capture segment ${index + 1}`);
+        }
+
+        // The first column decides the row's alignment, the others follow it
+        if (column === 0) {
+          if (options.alignSeams) {
+            const signature = await getRowSignature(dataUrl, clip);
+            if (previousFrame) {
+              rowShift = findSeamShift(previousFrame, { signature, top: actual.y });
+            }
+            previousFrame = { signature, top: actual.y - rowShift };
+          }
+
+          if (!isFirstRow && (actual.y !== targetY || rowShift !== 0)) {
+            seamCorrections.push({ row, scrollOffset: actual.y - targetY, alignment: rowShift });
+          }
+        }
+
+        // Page area this frame adds: from where the previous tile ended to the frame's edge
+        const frameTop = actual.y - rowShift;
+        const y = Math.max(rowTop, frameTop);
+        const x = Math.max(columnLeft, actual.x);
+        const width = Math.min(actual.x + clip.width, areaRight) - x;
+        const height = Math.min(frameTop + clip.height, areaBottom) - y;
+
+        if (width > 0 && height > 0) {
+          captures.push({
+            dataUrl,
+            x,
+            y,
+            width,
+            height,
+            scrollX: actual.x,
+            scrollY: frameTop
+          });
+          columnLeft = x + width;
+          if (column === 0) rowBottom = y + height;
+        }
       }
+
+      // The page stopped scrolling before its reported height (e.g. body
+      // with overflow hidden); keep what we have instead of repeating frames
+      if (rowBottom <= rowTop) {
+        effectiveHeight = rowTop - region.y;
+        areaBottom = rowTop;
+        partCount = Math.ceil(effectiveHeight / MAX_CANVAS_HEIGHT);
+        break;
+      }
+      rowTop = rowBottom;
+    }
+
+    if (seamCorrections.length > 0) {
+      const largest = Math.max(...seamCorrections.map(c => Math.max(Math.abs(c.scrollOffset), Math.abs(c.alignment))));
+      updateProgress(`Corrected ${seamCorrections.length} seam${seamCorrections.length === 1 ? '' : 's'} (largest ${Math.round(largest)}px)`, totalCaptures, totalCaptures);
+      await unlessCancelled(delay(1200));
     }
 
     // Restore everything
+    updateTimeLeft(startTime, totalCaptures, totalCaptures);
     restoreState();
 
-    updateProgress('Stitching images together...', totalCaptures, totalCaptures);
+    // Stitch each part separately; tiles crossing a part boundary are
+    // simply drawn into both canvases and clipped
+    const images = [];
+    for (let part = 0; part < partCount; part++) {
+      const top = part * MAX_CANVAS_HEIGHT;
+      const area = {
+        x: region.x,
+        y: region.y + top,
+        width: effectiveWidth,
+        height: Math.min(MAX_CANVAS_HEIGHT, effectiveHeight - top)
+      };
 
-    // Stitch images together and get blob
-    const blob = await stitchImages(captures, viewportWidth, effectiveHeight);
+      updateProgress(
+        partCount > 1 ? `Stitching image ${part + 1} of ${partCount}...` : 'Stitching images together...',
+        totalCaptures, totalCaptures
+      );
 
-    if (!blob) {
-      throw new Error('Failed to create final image');
+      const partCaptures = captures.filter(c => c.y < area.y + area.height && c.y + c.height > area.y);
+      const blob = await unlessCancelled(stitchImages(partCaptures, clip, area));
+
+      if (!blob) {
+        throw new Error('Failed to create final image');
+      }
+
+      images.push(blob);
+    }
+
+    // The page stopped scrolling before even the first row was captured
+    if (images.length === 0) {
+      throw new Error('Nothing to capture');
     }
 
     updateProgress('Finalizing...', totalCaptures, totalCaptures);
 
-    // Convert blob to data URL for editor
-    const dataUrl = await blobToDataUrl(blob);
+    // Hand the images over as transfer ids; base64 data URLs only if the
+    // relay frame couldn't be used
+    const blobIds = await relayImages(images);
+    const handover = blobIds
+      ? { blobIds }
+      : { dataUrls: await Promise.all(images.map(blobToDataUrl)) };
 
     removeProgressOverlay();
 
-    // Send to background to open in editor
+    // Send to background to open in editor. The region tells it which
+    // part of the page the capture shows (for the page info).
     chrome.runtime.sendMessage({
       action: 'fullPageComplete',
-      dataUrl: dataUrl
+      ...handover,
+      region: options.region || null
     });
 
   } catch (error) {
     restoreState();
     removeProgressOverlay();
 
-    // Show user-friendly error
-    const userMessage = getUserMessage(error);
-    alert('Full page capture failed: ' + userMessage);
+    if (error === CAPTURE_CANCELLED) {
+      chrome.runtime.sendMessage({ action: 'fullPageCancelled' });
+      return;
+    }
 
+    // The background script logs it and tells the user (batch runs
+    // report it themselves)
     chrome.runtime.sendMessage({
       action: 'fullPageError',
-      error: error.message
+      error: getUserMessage(error),
+      details: error.message,
+      stack: error.stack
     });
   }
 
   function restoreState() {
-    fixedElementsState.forEach(state => {
+    fixedElements.forEach(state => {
       state.element.style.visibility = state.visibility;
     });
-    window.scrollTo(0, originalScrollY);
+    scroller.scrollTo(originalScroll.x, originalScroll.y);
+    window.scrollTo(originalScrollX, originalScrollY);
   }
 
   function delay(ms) {
     return new Promise(resolve => setTimeout(resolve, ms));
   }
 
-  function detectFixedElements() {
-    const fixed = [];
-    const elements = document.querySelectorAll('*');
+  function nextFrame() {
+    return new Promise(resolve => requestAnimationFrame(resolve));
+  }
+
+  /**
+   * Jump (not smooth-scroll) to a position and wait until the scroll offset
+   * has stopped changing, so scroll-snap and scroll handlers have finished
+   */
+  async function scrollAndSettle(x, y) {
+    scroller.scrollTo(x, y);
+
+    let last = scroller.getScrollPosition();
+    let stableFrames = 0;
+    const start = performance.now();
+
+    while (stableFrames < 3 && performance.now() - start < SCROLL_SETTLE_TIMEOUT) {
+      await nextFrame();
+      const position = scroller.getScrollPosition();
+      if (position.x === last.x && position.y === last.y) {
+        stableFrames++;
+      } else {
+        stableFrames = 0;
+        last = position;
+      }
+    }
+
+    return last;
+  }
+
+  /**
+   * Reduce a frame to a few brightness values per CSS pixel row
+   * (SEAM_BANDS column bands), enough to match rows between frames
+   */
+  async function getRowSignature(dataUrl, clip) {
+    const img = await loadImage(dataUrl);
+    const scale = img.width / window.innerWidth;
+    const sampleWidth = SEAM_BANDS * 8;
+
+    const canvas = document.createElement('canvas');
+    canvas.width = sampleWidth;
+    canvas.height = clip.height;
+    const ctx = canvas.getContext('2d', { willReadFrequently: true });
+    ctx.drawImage(
+      img,
+      clip.x * scale, clip.y * scale, clip.width * scale, clip.height * scale,
+      0, 0, sampleWidth, clip.height
+    );
+
+    const data = ctx.getImageData(0, 0, sampleWidth, clip.height).data;
+    const signature = new Float32Array(clip.height * SEAM_BANDS);
+
+    for (let row = 0; row < clip.height; row++) {
+      for (let px = 0; px < sampleWidth; px++) {
+        const i = (row * sampleWidth + px) * 4;
+        const luminance = data[i] * 0.299 + data[i + 1] * 0.587 + data[i + 2] * 0.114;
+        signature[row * SEAM_BANDS + Math.floor(px / 8)] += luminance / 8;
+      }
+    }
+
+    return signature;
+  }
+
+  /**
+   * Find how many pixels the content of `current` sits away from where its
+   * scroll offset says it should, by comparing rows both frames can see.
+   * Returns 0 when the overlap is too flat or no shift matches clearly better.
+   */
+  function findSeamShift(previous, current) {
+    const previousRows = previous.signature.length / SEAM_BANDS;
+    const currentRows = current.signature.length / SEAM_BANDS;
+
+    const rowError = (previousRow, currentRow) => {
+      let error = 0;
+      for (let band = 0; band < SEAM_BANDS; band++) {
+        error += Math.abs(
+          previous.signature[previousRow * SEAM_BANDS + band] -
+          current.signature[currentRow * SEAM_BANDS + band]
+        );
+      }
+      return error / SEAM_BANDS;
+    };
+
+    const scoreShift = shift => {
+      let total = 0;
+      let count = 0;
+      for (let pageY = current.top; pageY < previous.top + previousRows; pageY++) {
+        const previousRow = Math.round(pageY - previous.top);
+        const currentRow = Math.round(pageY - current.top + shift);
+        if (previousRow < 0 || previousRow >= previousRows || currentRow < 0 || currentRow >= currentRows) continue;
+        total += rowError(previousRow, currentRow);
+        count++;
+      }
+      return count >= SEAM_MIN_ROWS ? total / count : Infinity;
+    };
+
+    // A blank strip matches at any shift, so don't trust it
+    let min = Infinity;
+    let max = -Infinity;
+    for (let pageY = current.top; pageY < previous.top + previousRows; pageY++) {
+      const row = Math.round(pageY - previous.top);
+      if (row < 0 || row >= previousRows) continue;
+      for (let band = 0; band < SEAM_BANDS; band++) {
+        const value = previous.signature[row * SEAM_BANDS + band];
+        min = Math.min(min, value);
+        max = Math.max(max, value);
+      }
+    }
+    if (max - min < SEAM_MIN_CONTRAST) return 0;
+
+    const unshifted = scoreShift(0);
+    let bestShift = 0;
+    let bestScore = unshifted;
+
+    for (let shift = -SEAM_SEARCH_RANGE; shift <= SEAM_SEARCH_RANGE; shift++) {
+      const score = scoreShift(shift);
+      if (score < bestScore) {
+        bestScore = score;
+        bestShift = shift;
+      }
+    }
+
+    return bestScore < unshifted * 0.8 ? bestShift : 0;
+  }
+
+  /**
+   * Scroller for the document itself. The clip is the viewport minus its
+   * scrollbars, so they don't end up between tiles.
+   */
+  function createWindowScroller() {
+    return {
+      root: document,
+      prepare() {},
+      getClip: () => ({
+        x: 0,
+        y: 0,
+        width: document.documentElement.clientWidth || window.innerWidth,
+        height: document.documentElement.clientHeight || window.innerHeight
+      }),
+      getScrollWidth: () => Math.max(
+        document.body.scrollWidth,
+        document.documentElement.scrollWidth
+      ),
+      getScrollHeight: () => Math.max(
+        document.body.scrollHeight,
+        document.documentElement.scrollHeight
+      ),
+      getScrollPosition: () => ({ x: window.scrollX, y: window.scrollY }),
+      scrollTo: (x, y) => window.scrollTo({ left: x, top: y, behavior: 'instant' })
+    };
+  }
+
+  /**
+   * Scroller for an inner overflow container. The clip is the element's
+   * padding box as it appears in the viewport, excluding its scrollbars.
+   */
+  function createElementScroller(element) {
+    return {
+      root: element,
+      prepare() {
+        // Make sure the top of the panel is on screen so the clip starts at content top
+        if (element.getBoundingClientRect().top < 0) {
+          element.scrollIntoView({ block: 'start', inline: 'nearest' });
+        }
+      },
+      getClip() {
+        const rect = element.getBoundingClientRect();
+        const left = rect.left + element.clientLeft;
+        const top = rect.top + element.clientTop;
+        const x = Math.max(0, left);
+        const y = Math.max(0, top);
+        const right = Math.min(window.innerWidth, left + element.clientWidth);
+        const bottom = Math.min(window.innerHeight, top + element.clientHeight);
+        return { x, y, width: right - x, height: bottom - y };
+      },
+      getScrollWidth: () => element.scrollWidth,
+      getScrollHeight: () => element.scrollHeight,
+      getScrollPosition: () => ({ x: element.scrollLeft, y: element.scrollTop }),
+      scrollTo: (x, y) => element.scrollTo({ left: x, top: y, behavior: 'instant' })
+    };
+  }
+
+  /**
+   * Find elements with their own vertical scrollbar, largest visible area first
+   */
+  function findScrollableElements() {
+    const found = [];
+    const walker = document.createTreeWalker(document.body, NodeFilter.SHOW_ELEMENT);
+
+    for (let el = walker.nextNode(); el; el = walker.nextNode()) {
+      // Cheap geometry check first, computed style only for real candidates
+      if (el.scrollHeight <= el.clientHeight + 1) continue;
+
+      const style = window.getComputedStyle(el);
+      if (!/(auto|scroll|overlay)/.test(style.overflowY)) continue;
+
+      const rect = el.getBoundingClientRect();
+      const width = Math.min(rect.right, window.innerWidth) - Math.max(rect.left, 0);
+      const height = Math.min(rect.bottom, window.innerHeight) - Math.max(rect.top, 0);
+      if (width < MIN_SCROLL_CONTAINER_SIZE || height < MIN_SCROLL_CONTAINER_SIZE) continue;
+
+      found.push({ element: el, area: width * height });
+    }
+
+    return found.sort((a, b) => b.area - a.area).map(entry => entry.element);
+  }
+
+  /**
+   * Let the user click the panel to capture. The largest one is highlighted
+   * up front so Enter accepts the automatic choice.
+   * Resolves to null when cancelled, undefined when there is nothing to pick.
+   */
+  function pickScrollContainer() {
+    const candidates = findScrollableElements();
+    if (candidates.length === 0) return Promise.resolve(undefined);
+
+    return new Promise(resolve => {
+      let current = candidates[0];
+
+      const picker = document.createElement('div');
+      picker.id = 'snap-hero-container-picker';
+      Object.assign(picker.style, {
+        position: 'fixed',
+        inset: '0',
+        zIndex: '2147483647',
+        cursor: 'pointer',
+        background: 'transparent'
+      });
+
+      const highlight = document.createElement('div');
+      Object.assign(highlight.style, {
+        position: 'fixed',
+        border: '2px solid #4facfe',
+        background: 'rgba(79, 172, 254, 0.15)',
+        boxShadow: '0 0 0 9999px rgba(0, 0, 0, 0.35)',
+        pointerEvents: 'none',
+        transition: 'all 0.1s ease'
+      });
+
+      const hint = document.createElement('div');
+      Object.assign(hint.style, {
+        position: 'fixed',
+        top: '16px',
+        left: '50%',
+        transform: 'translateX(-50%)',
+        background: 'rgba(0, 0, 0, 0.75)',
+        color: '#fff',
+        fontSize: '14px',
+        fontFamily: '-apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif',
+        padding: '10px 18px',
+        borderRadius: '8px',
+        pointerEvents: 'none'
+      });
+      hint.textContent = 'Click a scrollable panel · Enter to use the highlighted one · Esc to cancel';
+
+      picker.appendChild(highlight);
+      picker.appendChild(hint);
+      document.documentElement.appendChild(picker);
+      moveHighlight();
+
+      picker.addEventListener('mousemove', onMove);
+      picker.addEventListener('click', onClick);
+      document.addEventListener('keydown', onKey, true);
+
+      function moveHighlight() {
+        const rect = current.getBoundingClientRect();
+        Object.assign(highlight.style, {
+          left: rect.left + 'px',
+          top: rect.top + 'px',
+          width: rect.width + 'px',
+          height: rect.height + 'px'
+        });
+      }
+
+      function candidateAt(x, y) {
+        const stack = document.elementsFromPoint(x, y);
+        for (const el of stack) {
+          if (picker.contains(el)) continue;
+          const match = candidates.find(c => c === el || c.contains(el));
+          if (match) {
+            // Prefer the innermost scrollable ancestor of the hit element
+            return candidates.filter(c => c.contains(el)).pop() || match;
+          }
+        }
+        return null;
+      }
+
+      function onMove(e) {
+        const hit = candidateAt(e.clientX, e.clientY);
+        if (hit && hit !== current) {
+          current = hit;
+          moveHighlight();
+        }
+      }
+
+      function onClick(e) {
+        e.preventDefault();
+        e.stopPropagation();
+        finish(candidateAt(e.clientX, e.clientY) || current);
+      }
+
+      function onKey(e) {
+        if (e.key === 'Enter') {
+          e.preventDefault();
+          e.stopPropagation();
+          finish(current);
+        } else if (e.key === 'Escape') {
+          e.preventDefault();
+          e.stopPropagation();
+          finish(null);
+        }
+      }
+
+      function finish(result) {
+        picker.removeEventListener('mousemove', onMove);
+        picker.removeEventListener('click', onClick);
+        document.removeEventListener('keydown', onKey, true);
+        if (picker.parentNode) picker.parentNode.removeChild(picker);
+
+        // Let the picker disappear from the rendered frame before capturing
+        requestAnimationFrame(() => requestAnimationFrame(() => resolve(result)));
+      }
+    });
+  }
+
+  /**
+   * Everything to search below `root`: the root itself, the open shadow
+   * roots inside it and the documents of same-origin frames, recursively.
+   * Cross-origin frames can't be read; settleFrames() reaches those.
+   */
+  function getSearchRoots(root) {
+    const roots = [];
+    const visit = node => {
+      roots.push(node);
+      node.querySelectorAll('*').forEach(el => {
+        if (el.shadowRoot) visit(el.shadowRoot);
+        if (el.tagName === 'IFRAME' || el.tagName === 'FRAME') {
+          const frameDocument = getFrameDocument(el);
+          if (frameDocument && frameDocument.documentElement) visit(frameDocument);
+        }
+      });
+    };
+    visit(root);
+    return roots;
+  }
 
-    elements.forEach(el => {
+  function getFrameDocument(frame) {
+    try {
+      return frame.contentDocument;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  /**
+   * Stylesheets that apply inside a search root: a document's or shadow
+   * root's own (including adopted ones), or for an element its document's
+   */
+  function getStyleSheets(searchRoot) {
+    const owner = searchRoot.styleSheets ? searchRoot : searchRoot.getRootNode();
+    return [...owner.styleSheets, ...(owner.adoptedStyleSheets || [])];
+  }
+
+  /**
+   * Find fixed and sticky elements without calling getComputedStyle on every
+   * node. Fixed elements have no offsetParent, and sticky ones are found
+   * through the stylesheet rules (or name hints when a sheet is unreadable).
+   * Open shadow roots and same-origin frames are searched too.
+   */
+  function detectFixedElements(root) {
+    const candidates = new Set();
+
+    getSearchRoots(root).forEach(searchRoot => {
+      let unreadableSheet = false;
+
+      searchRoot.querySelectorAll('*').forEach(el => {
+        if (el.offsetParent === null) candidates.add(el);
+      });
+
+      const collectRules = rules => {
+        for (const rule of rules) {
+          if (rule.cssRules) {
+            // @media, @supports and friends
+            collectRules(rule.cssRules);
+          } else if (rule.style && /sticky|fixed/.test(rule.style.position)) {
+            try {
+              searchRoot.querySelectorAll(rule.selectorText).forEach(el => candidates.add(el));
+            } catch (e) {}
+          }
+        }
+      };
+
+      for (const sheet of getStyleSheets(searchRoot)) {
+        try {
+          collectRules(sheet.cssRules);
+        } catch (e) {
+          // Cross-origin stylesheet
+          unreadableSheet = true;
+        }
+      }
+
+      searchRoot.querySelectorAll('[style*="sticky"], [style*="fixed"]').forEach(el => candidates.add(el));
+
+      if (unreadableSheet) {
+        searchRoot.querySelectorAll(STICKY_HINT_SELECTOR).forEach(el => candidates.add(el));
+      }
+    });
+
+    const fixed = [];
+    candidates.forEach(el => {
+      if (progressOverlay.contains(el)) return;
       try {
-        const style = window.getComputedStyle(el);
+        // Elements of frames need their own window's styles
+        const style = (el.ownerDocument.defaultView || window).getComputedStyle(el);
         if (style.position === 'fixed' || style.position === 'sticky') {
           const rect = el.getBoundingClientRect();
           if (rect.height > MIN_ELEMENT_SIZE && rect.width > MIN_ELEMENT_SIZE && style.display !== 'none') {
@@ -181,9 +904,158 @@
     return fixed;
   }
 
+  /**
+   * Guess how a fixed/sticky element should be treated:
+   * 'first' shows it once at the top, 'every' in every segment, 'hide' never.
+   */
+  function getDefaultPolicy(el) {
+    const description = [
+      el.id,
+      typeof el.className === 'string' ? el.className : '',
+      el.getAttribute('aria-label') || '',
+      el.getAttribute('role') || ''
+    ].join(' ').toLowerCase();
+
+    if (POLICY_HIDE_PATTERN.test(description)) return 'hide';
+
+    // Sticky table headers belong with the rows they label
+    if (el.closest('thead') || el.tagName === 'TH' || el.tagName === 'THEAD') return 'every';
+
+    // Tall, narrow elements are sidebars that run alongside the content
+    const rect = el.getBoundingClientRect();
+    if (rect.height >= window.innerHeight * 0.6 && rect.width <= window.innerWidth * 0.4) return 'every';
+
+    return 'first';
+  }
+
+  function applyFixedPolicies(isFirstRow) {
+    fixedElements.forEach(({ element, policy, visibility }) => {
+      const hidden = policy === 'hide' || (policy === 'first' && !isFirstRow);
+      element.style.visibility = hidden ? 'hidden' : visibility;
+    });
+  }
+
+  /**
+   * Let the user override the policy of each detected element before capturing.
+   * Resolves true to start, false to cancel.
+   */
+  function reviewFixedElements(items) {
+    const text = progressOverlay.querySelector('.progress-text');
+    const review = progressOverlay.querySelector('.progress-review');
+    if (text) text.textContent = 'Choose how fixed elements appear in the capture';
+
+    const highlight = document.createElement('div');
+    Object.assign(highlight.style, {
+      position: 'fixed',
+      border: '2px solid #4facfe',
+      background: 'rgba(79, 172, 254, 0.2)',
+      pointerEvents: 'none',
+      zIndex: '2147483647',
+      display: 'none'
+    });
+    progressOverlay.appendChild(highlight);
+
+    items.forEach(item => {
+      const row = document.createElement('div');
+      Object.assign(row.style, {
+        display: 'flex',
+        alignItems: 'center',
+        justifyContent: 'space-between',
+        gap: '12px',
+        padding: '6px 8px',
+        borderRadius: '6px',
+        fontSize: '13px',
+        color: '#333',
+        textAlign: 'left'
+      });
+
+      const label = document.createElement('span');
+      label.textContent = describeElement(item.element);
+      Object.assign(label.style, { overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' });
+
+      const select = document.createElement('select');
+      Object.entries(POLICY_LABELS).forEach(([value, name]) => {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = name;
+        select.appendChild(option);
+      });
+      select.value = item.policy;
+      select.addEventListener('change', () => { item.policy = select.value; });
+
+      row.addEventListener('mouseenter', () => {
+        const rect = getViewportRect(item.element);
+        row.style.background = '#eef2ff';
+        Object.assign(highlight.style, {
+          display: 'block',
+          left: rect.left + 'px',
+          top: rect.top + 'px',
+          width: rect.width + 'px',
+          height: rect.height + 'px'
+        });
+      });
+      row.addEventListener('mouseleave', () => {
+        row.style.background = '';
+        highlight.style.display = 'none';
+      });
+
+      row.appendChild(label);
+      row.appendChild(select);
+      review.appendChild(row);
+    });
+    review.style.display = 'block';
+
+    return askChoice('Choose how fixed elements appear in the capture', [
+      { value: true, label: 'Start capture' },
+      { value: false, label: 'Cancel' }
+    ], false).then(result => {
+      review.innerHTML = '';
+      review.style.display = 'none';
+      highlight.remove();
+      return result;
+    });
+  }
+
+  /**
+   * Bounding box in the top window's viewport; elements of same-origin
+   * frames report theirs relative to the frame
+   */
+  function getViewportRect(el) {
+    const rect = el.getBoundingClientRect();
+    let left = rect.left;
+    let top = rect.top;
+
+    let view = el.ownerDocument.defaultView;
+    while (view && view !== window && view.frameElement) {
+      const frame = view.frameElement;
+      const frameRect = frame.getBoundingClientRect();
+      left += frameRect.left + frame.clientLeft;
+      top += frameRect.top + frame.clientTop;
+      view = view.parent;
+    }
+
+    return { left, top, width: rect.width, height: rect.height };
+  }
+
+  function describeElement(el) {
+    let name = el.tagName.toLowerCase();
+    if (el.id) {
+      name += '#' + el.id;
+    } else if (typeof el.className === 'string' && el.className.trim()) {
+      name += '.' + el.className.trim().split(/\s+/)[0];
+    }
+
+    const snippet = (el.textContent || '').trim().replace(/\s+/g, ' ').slice(0, 30);
+    return snippet ? `${name} “${snippet}”` : name;
+  }
+
+  /**
+   * Wait for images still loading, in open shadow roots and same-origin
+   * frames as well
+   */
   function waitForImages() {
     return new Promise(resolve => {
-      const images = document.querySelectorAll('img');
+      const images = getSearchRoots(document).flatMap(root => [...root.querySelectorAll('img')]);
       let pending = 0;
 
       images.forEach(img => {
@@ -206,10 +1078,127 @@
     });
   }
 
+  /**
+   * Wait after scrolling until the segment is ready to capture, the way the
+   * readiness strategy chosen for this capture or site says. Images (also
+   * inside frames) are always waited for; fixed delays then give content
+   * that loads without images some time.
+   */
+  async function waitUntilReady() {
+    switch (readiness.strategy) {
+      case 'networkIdle':
+        await waitForNetworkIdle();
+        break;
+      case 'domQuiet':
+        await waitForDomQuiet();
+        break;
+      case 'selector':
+        await waitForSelector(readiness.selector);
+        break;
+      case 'fonts':
+        await Promise.race([document.fonts.ready, delay(READY_TIMEOUT)]);
+        break;
+      default:
+        await delay(CAPTURE_DELAY);
+    }
 
+    await Promise.all([waitForImages(), settleFrames()]);
 
+    if (readiness.strategy === 'fixed') {
+      await delay(readiness.delay ?? LAZY_LOAD_DELAY);
+    }
+  }
 
-  
+  /**
+   * Resolve once `watch` has reported no activity for READY_QUIET_PERIOD ms,
+   * or after READY_TIMEOUT ms on pages that never go quiet
+   * @param {Function} watch - Called with an activity callback; starts
+   *   watching and returns a function that stops it
+   */
+  function waitForQuiet(watch) {
+    return new Promise(resolve => {
+      let quietTimer = null;
+      const finish = () => {
+        clearTimeout(quietTimer);
+        clearTimeout(deadline);
+        stop();
+        resolve();
+      };
+      const onActivity = () => {
+        clearTimeout(quietTimer);
+        quietTimer = setTimeout(finish, READY_QUIET_PERIOD);
+      };
+      const stop = watch(onActivity);
+      const deadline = setTimeout(finish, READY_TIMEOUT);
+      onActivity();
+    });
+  }
+
+  /**
+   * Wait until no request has finished for a while. Resource timing only
+   * reports finished requests, so one long request still in flight goes
+   * unnoticed; the quiet period covers the usual chains of short ones.
+   */
+  function waitForNetworkIdle() {
+    return waitForQuiet(onActivity => {
+      const observer = new PerformanceObserver(onActivity);
+      observer.observe({ type: 'resource' });
+      return () => observer.disconnect();
+    });
+  }
+
+  /**
+   * Wait until the DOM (including open shadow roots and same-origin frames)
+   * has stopped changing; changes to our own progress overlay don't count
+   */
+  function waitForDomQuiet() {
+    return waitForQuiet(onActivity => {
+      const observer = new MutationObserver(records => {
+        if (records.some(record => !progressOverlay.contains(record.target))) onActivity();
+      });
+      getSearchRoots(document).forEach(root => {
+        observer.observe(root, { subtree: true, childList: true, attributes: true, characterData: true });
+      });
+      return () => observer.disconnect();
+    });
+  }
+
+  /**
+   * Wait until an element matching `selector` exists (searched like
+   * getSearchRoots), giving up after READY_TIMEOUT ms
+   */
+  async function waitForSelector(selector) {
+    const start = performance.now();
+    const found = () => {
+      try {
+        return getSearchRoots(document).some(root => root.querySelector(selector));
+      } catch (e) {
+        // Invalid selector: nothing to wait for
+        return true;
+      }
+    };
+
+    while (!found() && performance.now() - start < READY_TIMEOUT) {
+      await delay(SELECTOR_POLL_INTERVAL);
+    }
+  }
+
+  /**
+   * Let the page's frames, including cross-origin ones this script can't
+   * reach, finish loading what scrolled into view. The background script
+   * runs frame-settle.js in every frame and answers once all have settled.
+   */
+  function settleFrames() {
+    const hasFrames = getSearchRoots(document).some(root => root.querySelector('iframe, frame'));
+    if (!hasFrames) return Promise.resolve();
+
+    return new Promise(resolve => {
+      chrome.runtime.sendMessage({ action: 'settleFrames' }, () => {
+        void chrome.runtime.lastError;
+        resolve();
+      });
+    });
+  }
 
   function requestCapture() {
     return new Promise((resolve, reject) => {
@@ -224,15 +1213,16 @@
           reject(new Error('Invalid capture response'));
         }
       });
-  
-  
     });
   }
 
-  async function stitchImages(captures, width, totalHeight) {
+  /**
+   * Draw captured tiles into one image covering `area` (page coordinates)
+   */
+  async function stitchImages(captures, clip, area) {
     const canvas = document.createElement('canvas');
-    canvas.width = width;
-    canvas.height = totalHeight;
+    canvas.width = area.width;
+    canvas.height = area.height;
 
     const ctx = canvas.getContext('2d');
 
@@ -245,16 +1235,20 @@
 
       const img = await loadImage(capture.dataUrl);
 
-      const scale = img.width / width;
-      const sourceY = capture.isPartial ? img.height - (capture.captureHeight * scale) : 0;
-      const sourceHeight = capture.captureHeight * scale;
+      // Screenshots are in device pixels, the clip is in CSS pixels
+      const scale = img.width / window.innerWidth;
+
+      // Where the wanted tile sits inside the frame. Non-zero when the
+      // browser clamped the scroll at the right or bottom edge.
+      const offsetX = clamp(capture.x - capture.scrollX, 0, clip.width - capture.width);
+      const offsetY = clamp(capture.y - capture.scrollY, 0, clip.height - capture.height);
 
       ctx.drawImage(
         img,
-        0, sourceY,
-        img.width, sourceHeight,
-        0, capture.scrollY,
-        width, capture.captureHeight
+        (clip.x + offsetX) * scale, (clip.y + offsetY) * scale,
+        capture.width * scale, capture.height * scale,
+        capture.x - area.x, capture.y - area.y,
+        capture.width, capture.height
       );
     }
 
@@ -277,6 +1271,24 @@
     });
   }
 
+  /**
+   * Keep a requested capture region inside the scrollable area
+   */
+  function clampRegion(requested, width, height) {
+    const x = clamp(Math.round(requested.x), 0, width);
+    const y = clamp(Math.round(requested.y), 0, height);
+    return {
+      x,
+      y,
+      width: Math.max(1, Math.min(Math.round(requested.width), width - x)),
+      height: Math.max(1, Math.min(Math.round(requested.height), height - y))
+    };
+  }
+
+  function clamp(value, min, max) {
+    return Math.max(min, Math.min(value, max));
+  }
+
   function loadImage(dataUrl) {
     return new Promise((resolve, reject) => {
       const img = new Image();
@@ -286,6 +1298,43 @@
     });
   }
 
+  /**
+   * Store the stitched images in the extension's IndexedDB through a hidden
+   * relay frame (an extension page, so it can open the database; this
+   * script can't). Resolves with their transfer ids, or null if the frame
+   * didn't answer - e.g. a CSP that blocks it.
+   */
+  function relayImages(blobs) {
+    if (!options.relayToken) return Promise.resolve(null);
+
+    return new Promise(resolve => {
+      const relayUrl = chrome.runtime.getURL('relay/relay.html');
+      const frame = document.createElement('iframe');
+      frame.style.setProperty('display', 'none', 'important');
+
+      const timer = setTimeout(() => finish(null), RELAY_TIMEOUT);
+
+      function finish(ids) {
+        clearTimeout(timer);
+        frame.remove();
+        resolve(ids);
+      }
+
+      frame.addEventListener('load', () => {
+        const channel = new MessageChannel();
+        channel.port1.onmessage = ({ data }) => finish(data?.ids || null);
+        frame.contentWindow.postMessage(
+          { token: options.relayToken, blobs },
+          new URL(relayUrl).origin,
+          [channel.port2]
+        );
+      }, { once: true });
+
+      frame.src = relayUrl;
+      document.documentElement.appendChild(frame);
+    });
+  }
+
   function blobToDataUrl(blob) {
     return new Promise((resolve, reject) => {
       const reader = new FileReader();
@@ -323,9 +1372,23 @@
           <div style="font-size: 18px; font-weight: 600; margin-bottom: 16px; color: #333;">
             Snap Hero
           </div>
-          <div class="progress-text" style="font-size: 14px; color: #666; margin-bottom: 12px;">
+          <div class="progress-text" style="font-size: 14px; color: #666; margin-bottom: 12px; max-width: 360px;">
             Preparing capture...
           </div>
+          <div class="progress-review" style="
+            display: none;
+            max-height: 240px;
+            overflow-y: auto;
+            margin-bottom: 12px;
+            min-width: 360px;
+          "></div>
+          <div class="progress-actions" style="
+            display: none;
+            gap: 8px;
+            justify-content: center;
+            flex-wrap: wrap;
+            margin-bottom: 12px;
+          "></div>
           <div style="
             background: #e0e0e0;
             height: 6px;
@@ -339,6 +1402,20 @@
               transition: width 0.3s ease;
             "></div>
           </div>
+          <div class="progress-eta" style="font-size: 12px; color: #999; margin-top: 8px; min-height: 15px;"></div>
+          <button class="progress-cancel" style="
+            display: none;
+            margin-top: 12px;
+            border: 1px solid #d0d0d0;
+            background: #fff;
+            color: #333;
+            border-radius: 6px;
+            padding: 6px 14px;
+            font-size: 13px;
+            font-weight: 600;
+            cursor: pointer;
+            font-family: inherit;
+          ">Cancel (Esc)</button>
         </div>
       </div>
     `;
@@ -351,7 +1428,8 @@
       'Failed to create final image': 'Could not create the final image. The page may be too large.',
       'Invalid capture response': 'Received invalid data. Please try again.',
       'Failed to get canvas context': 'Browser could not create the image canvas.',
-      'Failed to convert canvas to blob': 'Could not save the final image.'
+      'Failed to convert canvas to blob': 'Could not save the final image.',
+      'Nothing to capture': 'Nothing on this page could be captured.'
     };
 
     const msg = error?.message || String(error);
@@ -0,0 +1,210 @@
+// Capture history - screenshots kept in IndexedDB, which (unlike
+// chrome.storage.local) holds binary Blobs and has no 5MB-ish practical
+// limit. Shared by the service worker and extension pages.
+
+const DB_NAME = 'snap-hero';
+const DB_VERSION = 2;
+const STORE = 'captures';
+const TRANSFER_STORE = 'transfers';
+
+// How much history to keep; users change it on the history page
+export const DEFAULT_RETENTION = { maxItems: 100, maxAgeDays: null };
+
+// Sources of captures nobody took by hand. They count towards their own
+// maxItems, so a large batch or a busy schedule can't push manual captures
+// out of the history.
+export const AUTOMATED_SOURCES = ['batch', 'responsive', 'schedule'];
+
+let dbPromise = null;
+
+function openDatabase() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(STORE)) {
+          const store = db.createObjectStore(STORE, { keyPath: 'id', autoIncrement: true });
+          store.createIndex('createdAt', 'createdAt');
+          store.createIndex('scheduleId', 'scheduleId');
+        }
+        if (!db.objectStoreNames.contains(TRANSFER_STORE)) {
+          db.createObjectStore(TRANSFER_STORE, { autoIncrement: true });
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        dbPromise = null;
+        reject(request.error);
+      };
+    });
+  }
+  return dbPromise;
+}
+
+/**
+ * Run one request against a store (the captures store by default) and
+ * resolve with its result once the transaction has committed
+ */
+async function withStore(mode, callback, storeName = STORE) {
+  const db = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(storeName, mode);
+    const request = callback(tx.objectStore(storeName));
+    tx.oncomplete = () => resolve(request?.result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error || new Error('History transaction aborted'));
+  });
+}
+
+/**
+ * Store a capture
+ * @param {Object} record - { blob, thumbnail, width, height, url, title,
+ *   label?, source: 'capture'|'batch'|'responsive'|'schedule', scheduleId?, metadata? (page
+ *   info), annotations? };
+ *   createdAt defaults to now
+ * @returns {Promise<number>} The new entry's id
+ */
+export function addCapture(record) {
+  return withStore('readwrite', store => store.add({ createdAt: Date.now(), ...record }));
+}
+
+export function getCapture(id) {
+  return withStore('readonly', store => store.get(id));
+}
+
+/**
+ * Every capture, newest first. Image Blobs are references, so this doesn't
+ * read the image data itself.
+ */
+export async function listCaptures() {
+  const captures = await withStore('readonly', store => store.getAll());
+  return captures.sort((a, b) => b.createdAt - a.createdAt);
+}
+
+/**
+ * Merge changes (e.g. annotations) into a stored capture
+ */
+export async function updateCapture(id, changes) {
+  const db = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(STORE, 'readwrite');
+    const store = tx.objectStore(STORE);
+    const request = store.get(id);
+    request.onsuccess = () => {
+      if (request.result) {
+        store.put({ ...request.result, ...changes, id });
+      }
+    };
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+  });
+}
+
+export async function deleteCaptures(ids) {
+  const db = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(STORE, 'readwrite');
+    const store = tx.objectStore(STORE);
+    ids.forEach(id => store.delete(id));
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+  });
+}
+
+/**
+ * The user's retention settings merged over the defaults
+ */
+export async function getRetention() {
+  const { historyRetention } = await chrome.storage.local.get(['historyRetention']);
+  return { ...DEFAULT_RETENTION, ...historyRetention };
+}
+
+/**
+ * Delete captures beyond the newest `maxItems` or older than `maxAgeDays`
+ * (null = no limit). Manual and automated captures (AUTOMATED_SOURCES) are
+ * counted separately, each keeping up to `maxItems`.
+ * @returns {Promise<number>} How many were deleted
+ */
+export async function pruneHistory({ maxItems, maxAgeDays }) {
+  const cutoff = maxAgeDays ? Date.now() - maxAgeDays * 86400000 : 0;
+  const db = await openDatabase();
+
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(STORE, 'readwrite');
+    const request = tx.objectStore(STORE).index('createdAt').openCursor(null, 'prev');
+    const kept = { manual: 0, automated: 0 };
+    let deleted = 0;
+
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor) return;
+
+      const pool = AUTOMATED_SOURCES.includes(cursor.value.source) ? 'automated' : 'manual';
+      if ((maxItems && kept[pool] >= maxItems) || cursor.value.createdAt < cutoff) {
+        cursor.delete();
+        deleted++;
+      } else {
+        kept[pool]++;
+      }
+      cursor.continue();
+    };
+    tx.oncomplete = () => resolve(deleted);
+    tx.onerror = () => reject(tx.error);
+  });
+}
+
+/**
+ * Most recent capture taken by a schedule, or undefined
+ */
+export async function getLatestScheduledCapture(scheduleId) {
+  const db = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(STORE, 'readonly');
+    const request = tx.objectStore(STORE).index('scheduleId')
+      .openCursor(IDBKeyRange.only(scheduleId), 'prev');
+    request.onsuccess = () => resolve(request.result?.value);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Park an image Blob for another extension context to pick up. Messaging
+ * can only carry JSON, so page scripts and the service worker hand images
+ * over as transfer ids instead of base64 data URLs.
+ * @returns {Promise<number>} The transfer id
+ */
+export function addTransfer(blob) {
+  return withStore('readwrite', store => store.add(blob), TRANSFER_STORE);
+}
+
+/**
+ * Read a parked Blob and delete it - each transfer is picked up once
+ * @returns {Promise<Blob>}
+ */
+export async function takeTransfer(id) {
+  const db = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(TRANSFER_STORE, 'readwrite');
+    const store = tx.objectStore(TRANSFER_STORE);
+    const request = store.get(id);
+    store.delete(id);
+    tx.oncomplete = () => {
+      if (request.result) {
+        resolve(request.result);
+      } else {
+        reject(new Error('Image transfer not found'));
+      }
+    };
+    tx.onerror = () => reject(tx.error);
+  });
+}
+
+/**
+ * Drop every parked Blob, e.g. those left behind when the browser closed
+ * mid-capture
+ */
+export function clearTransfers() {
+  return withStore('readwrite', store => store.clear(), TRANSFER_STORE);
+}
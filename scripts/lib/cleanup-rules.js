@@ -0,0 +1,73 @@
+// Cleanup rules - CSS selectors for page clutter (cookie banners, chat
+// widgets, ads) that page-cleanup.js hides before a capture. Users can edit
+// the list on the cleanup rules page; it is stored as text, one selector per
+// line, with lines starting with // as comments.
+const STORAGE_KEY = 'cleanupRules';
+
+export const DEFAULT_CLEANUP_RULES = `// Cookie and consent banners
+#onetrust-consent-sdk
+#CybotCookiebotDialog
+#CybotCookiebotDialogBodyUnderlay
+#didomi-host
+#usercentrics-root
+#truste-consent-track
+#qc-cmp2-container
+.fc-consent-root
+[id^="sp_message_container"]
+#cookie-law-info-bar
+.cky-consent-container
+.cc-window
+#cmpbox
+#cmpbox2
+
+// Chat widgets
+#intercom-container
+.intercom-lightweight-app
+#hubspot-messages-iframe-container
+#drift-frame-controller
+#drift-frame-chat
+#crisp-chatbox
+iframe#launcher
+#tidio-chat
+#fc_frame
+#chat-widget-container
+
+// Ads
+ins.adsbygoogle
+[id^="google_ads_iframe"]
+[id^="div-gpt-ad"]
+iframe[src*="doubleclick.net"]
+.OUTBRAIN
+[id^="taboola-"]
+`;
+
+/**
+ * The rules as the user edited them, or the bundled ones
+ * @returns {Promise<string>}
+ */
+export async function getCleanupRulesText() {
+  const result = await chrome.storage.local.get([STORAGE_KEY]);
+  return typeof result[STORAGE_KEY] === 'string' ? result[STORAGE_KEY] : DEFAULT_CLEANUP_RULES;
+}
+
+export async function saveCleanupRules(text) {
+  await chrome.storage.local.set({ [STORAGE_KEY]: text });
+}
+
+/**
+ * Go back to the bundled rules
+ */
+export async function resetCleanupRules() {
+  await chrome.storage.local.remove(STORAGE_KEY);
+}
+
+/**
+ * Selectors in a rules text, without comments and blank lines
+ * @param {string} text
+ * @returns {string[]}
+ */
+export function parseCleanupRules(text) {
+  return text.split('\n')
+    .map(line => line.trim())
+    .filter(line => line && !line.startsWith('//'));
+}
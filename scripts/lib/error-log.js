@@ -0,0 +1,38 @@
+// Error log - the most recent capture failures, kept in chrome.storage.local
+// so they survive the service worker being stopped. Shown and exported on
+// the diagnostics page for bug reports.
+
+const STORAGE_KEY = 'errorLog';
+const MAX_ENTRIES = 100;
+
+// Appends are chained so concurrent failures don't overwrite each other
+let pendingWrite = Promise.resolve();
+
+/**
+ * Add an entry, dropping the oldest beyond MAX_ENTRIES
+ * @param {Object} entry - { errorType, message, details?, mode?, url?,
+ *   stack?, source? }; time defaults to now
+ */
+export function appendErrorLog(entry) {
+  pendingWrite = pendingWrite
+    .then(async () => {
+      const log = await getErrorLog();
+      log.push({ time: Date.now(), ...entry });
+      await chrome.storage.local.set({ [STORAGE_KEY]: log.slice(-MAX_ENTRIES) });
+    })
+    // A full or unavailable storage just loses the entry
+    .catch(() => {});
+  return pendingWrite;
+}
+
+/**
+ * Every entry, oldest first
+ */
+export async function getErrorLog() {
+  const result = await chrome.storage.local.get([STORAGE_KEY]);
+  return result[STORAGE_KEY] || [];
+}
+
+export function clearErrorLog() {
+  return chrome.storage.local.remove([STORAGE_KEY]);
+}
@@ -0,0 +1,116 @@
+// ZIP writer - builds an uncompressed ("stored") archive in memory.
+// Screenshots are PNGs, which are already compressed, so deflating them
+// again would cost time for almost no gain.
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+// General purpose flag: file names are UTF-8
+const FLAG_UTF8 = 0x0800;
+const VERSION = 20;
+
+export function crc32(bytes) {
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Build a ZIP archive
+ * @param {Array<{name: string, data: Uint8Array}>} files
+ * @param {Date} [date] - Modification time stored for every entry
+ * @returns {Blob}
+ */
+export function createZip(files, date = new Date()) {
+  const encoder = new TextEncoder();
+  const { dosTime, dosDate } = toDosDateTime(date);
+  const entries = [];
+  const directory = [];
+  let offset = 0;
+
+  for (const file of files) {
+    const name = encoder.encode(file.name);
+    const size = file.data.length;
+    const crc = crc32(file.data);
+
+    const header = new DataView(new ArrayBuffer(30));
+    header.setUint32(0, 0x04034b50, true);
+    header.setUint16(4, VERSION, true);
+    header.setUint16(6, FLAG_UTF8, true);
+    header.setUint16(8, 0, true); // stored
+    header.setUint16(10, dosTime, true);
+    header.setUint16(12, dosDate, true);
+    header.setUint32(14, crc, true);
+    header.setUint32(18, size, true);
+    header.setUint32(22, size, true);
+    header.setUint16(26, name.length, true);
+    header.setUint16(28, 0, true);
+    entries.push(header, name, file.data);
+
+    const record = new DataView(new ArrayBuffer(46));
+    record.setUint32(0, 0x02014b50, true);
+    record.setUint16(4, VERSION, true);
+    record.setUint16(6, VERSION, true);
+    record.setUint16(8, FLAG_UTF8, true);
+    record.setUint16(10, 0, true);
+    record.setUint16(12, dosTime, true);
+    record.setUint16(14, dosDate, true);
+    record.setUint32(16, crc, true);
+    record.setUint32(20, size, true);
+    record.setUint32(24, size, true);
+    record.setUint16(28, name.length, true);
+    record.setUint32(42, offset, true);
+    directory.push(record, name);
+
+    offset += header.byteLength + name.length + size;
+  }
+
+  const directorySize = directory.reduce((total, part) => total + part.byteLength, 0);
+
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054b50, true);
+  end.setUint16(8, files.length, true);
+  end.setUint16(10, files.length, true);
+  end.setUint32(12, directorySize, true);
+  end.setUint32(16, offset, true);
+
+  return new Blob([...entries, ...directory, end], { type: 'application/zip' });
+}
+
+/**
+ * Make file names unique within an archive by numbering repeats
+ * ("shot.png", "shot-2.png", ...)
+ */
+export function uniqueNames(names) {
+  const used = new Set();
+  return names.map(name => {
+    let candidate = name;
+    const dot = name.lastIndexOf('.');
+    const base = dot > 0 ? name.slice(0, dot) : name;
+    const extension = dot > 0 ? name.slice(dot) : '';
+    for (let n = 2; used.has(candidate); n++) {
+      candidate = `${base}-${n}${extension}`;
+    }
+    used.add(candidate);
+    return candidate;
+  });
+}
+
+function toDosDateTime(date) {
+  const year = Math.max(date.getFullYear(), 1980);
+  return {
+    dosTime: (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1),
+    dosDate: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+  };
+}
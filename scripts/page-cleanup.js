@@ -0,0 +1,243 @@
+// Runs before a capture when page cleanup is on (injected by the background
+// script). Hides the elements matched by the cleanup rules - cookie banners,
+// chat widgets, ads - and optionally lets the user click more elements away.
+// Injected again with { restore: true } once the capture has finished, which
+// puts every hidden element back. The script's value is the promise the
+// background script awaits: { hidden } or { cancelled: true }.
+(async function pageCleanup() {
+  const FONT_FAMILY = '-apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif';
+
+  // Options are set by the background script right before injection
+  const options = window.__snapHeroOptions || {};
+  delete window.__snapHeroOptions;
+
+  // Hidden elements with their inline display, kept on the window so the
+  // restoring injection finds them
+  const hidden = window.__snapHeroCleanup || (window.__snapHeroCleanup = []);
+
+  if (options.restore) {
+    restoreElements();
+    return { hidden: 0 };
+  }
+
+  (options.rules || []).forEach(selector => {
+    let matches;
+    try {
+      matches = document.querySelectorAll(selector);
+    } catch (e) {
+      // Invalid selector in the user's rules
+      return;
+    }
+    matches.forEach(hideElement);
+  });
+
+  if (options.pick && !(await pickElements())) {
+    restoreElements();
+    return { cancelled: true };
+  }
+
+  return { hidden: hidden.length };
+
+  function hideElement(element) {
+    if (hidden.some(entry => entry.element === element)) return;
+
+    hidden.push({
+      element,
+      display: element.style.getPropertyValue('display'),
+      priority: element.style.getPropertyPriority('display')
+    });
+    element.style.setProperty('display', 'none', 'important');
+  }
+
+  function showElement(element) {
+    const index = hidden.findIndex(entry => entry.element === element);
+    if (index === -1) return;
+
+    const [entry] = hidden.splice(index, 1);
+    entry.element.style.setProperty('display', entry.display, entry.priority);
+  }
+
+  function restoreElements() {
+    [...hidden].forEach(entry => showElement(entry.element));
+    delete window.__snapHeroCleanup;
+  }
+
+  /**
+   * Let the user click elements away. Resolves with true to go on with the
+   * capture (Enter or the Capture button), false if cancelled with Esc.
+   */
+  function pickElements() {
+    return new Promise(resolve => {
+      const picked = [];
+      let current = null;
+
+      const overlay = document.createElement('div');
+      overlay.id = 'snap-hero-cleanup-picker';
+      Object.assign(overlay.style, {
+        position: 'fixed',
+        top: '0',
+        left: '0',
+        width: '100vw',
+        height: '100vh',
+        zIndex: '2147483647',
+        cursor: 'crosshair',
+        margin: '0',
+        padding: '0'
+      });
+
+      const highlight = document.createElement('div');
+      Object.assign(highlight.style, {
+        position: 'absolute',
+        border: '2px solid #f56565',
+        background: 'rgba(245, 101, 101, 0.15)',
+        borderRadius: '2px',
+        pointerEvents: 'none',
+        display: 'none'
+      });
+
+      const bar = document.createElement('div');
+      Object.assign(bar.style, {
+        position: 'absolute',
+        top: '16px',
+        left: '50%',
+        transform: 'translateX(-50%)',
+        display: 'flex',
+        alignItems: 'center',
+        gap: '10px',
+        background: 'rgba(0, 0, 0, 0.8)',
+        color: '#fff',
+        fontFamily: FONT_FAMILY,
+        fontSize: '13px',
+        padding: '10px 14px',
+        borderRadius: '10px',
+        boxShadow: '0 4px 16px rgba(0, 0, 0, 0.3)',
+        cursor: 'default',
+        whiteSpace: 'nowrap'
+      });
+
+      const text = document.createElement('span');
+      const undoBtn = createButton('Undo', undo);
+      const cancelBtn = createButton('Cancel', () => finish(false));
+      const captureBtn = createButton('Capture', () => finish(true));
+      captureBtn.style.background = '#4facfe';
+      bar.append(text, undoBtn, cancelBtn, captureBtn);
+
+      overlay.append(highlight, bar);
+      document.documentElement.appendChild(overlay);
+      updateText();
+
+      overlay.addEventListener('mousemove', onMouseMove);
+      overlay.addEventListener('click', onClick);
+      document.addEventListener('keydown', onKeyDown, true);
+
+      function onMouseMove(e) {
+        current = bar.contains(e.target) ? null : elementAtPoint(e.clientX, e.clientY);
+        renderHighlight();
+      }
+
+      function onClick(e) {
+        if (bar.contains(e.target)) return;
+        e.preventDefault();
+        e.stopPropagation();
+
+        const element = elementAtPoint(e.clientX, e.clientY);
+        if (!element) return;
+
+        hideElement(element);
+        picked.push(element);
+        current = elementAtPoint(e.clientX, e.clientY);
+        renderHighlight();
+        updateText();
+      }
+
+      function onKeyDown(e) {
+        if (e.key === 'Escape') {
+          e.preventDefault();
+          e.stopPropagation();
+          finish(false);
+        } else if (e.key === 'Enter') {
+          e.preventDefault();
+          e.stopPropagation();
+          finish(true);
+        } else if (e.key === 'Backspace' || ((e.ctrlKey || e.metaKey) && e.key === 'z')) {
+          e.preventDefault();
+          e.stopPropagation();
+          undo();
+        }
+      }
+
+      function undo() {
+        const element = picked.pop();
+        if (!element) return;
+        showElement(element);
+        renderHighlight();
+        updateText();
+      }
+
+      /**
+       * Topmost page element at a point, looking through our own overlay
+       */
+      function elementAtPoint(x, y) {
+        return document.elementsFromPoint(x, y).find(el =>
+          !overlay.contains(el) && el !== document.documentElement && el !== document.body
+        ) || null;
+      }
+
+      function renderHighlight() {
+        if (!current) {
+          highlight.style.display = 'none';
+          return;
+        }
+        const rect = current.getBoundingClientRect();
+        Object.assign(highlight.style, {
+          display: 'block',
+          left: `${rect.left}px`,
+          top: `${rect.top}px`,
+          width: `${rect.width}px`,
+          height: `${rect.height}px`
+        });
+      }
+
+      function updateText() {
+        text.textContent = picked.length > 0
+          ? `Removed ${picked.length} element${picked.length === 1 ? '' : 's'} · Enter to capture`
+          : 'Click elements to remove them from the capture';
+        undoBtn.disabled = picked.length === 0;
+        undoBtn.style.opacity = picked.length === 0 ? '0.5' : '1';
+      }
+
+      function finish(confirmed) {
+        overlay.removeEventListener('mousemove', onMouseMove);
+        overlay.removeEventListener('click', onClick);
+        document.removeEventListener('keydown', onKeyDown, true);
+        overlay.remove();
+
+        // Wait for the overlay removal to render before the capture starts
+        requestAnimationFrame(() => {
+          requestAnimationFrame(() => resolve(confirmed));
+        });
+      }
+    });
+  }
+
+  function createButton(label, onClick) {
+    const button = document.createElement('button');
+    button.textContent = label;
+    Object.assign(button.style, {
+      background: 'rgba(255, 255, 255, 0.15)',
+      color: '#fff',
+      border: 'none',
+      borderRadius: '6px',
+      padding: '5px 12px',
+      fontFamily: FONT_FAMILY,
+      fontSize: '13px',
+      fontWeight: '600',
+      cursor: 'pointer'
+    });
+    button.addEventListener('click', (e) => {
+      e.stopPropagation();
+      onClick();
+    });
+    return button;
+  }
+})();